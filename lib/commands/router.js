@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const NodeCache = require('node-cache');
+const { createContext, createTelegramContext } = require('./context');
+
+const PERMISSIONS = ['everyone', 'admin', 'owner'];
+const CHATS = ['any', 'group', 'private'];
+
+class PluginError extends Error {
+  constructor(file, problems) {
+    super(`Invalid plugin ${path.basename(file)}: ${problems.join(', ')}`);
+    this.name = 'PluginError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+//Fills in defaults and rejects plugins that would misbehave at runtime
+function normalizePlugin(plugin, file) {
+  const problems = [];
+  if (!plugin || typeof plugin !== 'object') throw new PluginError(file, ['must export an object']);
+  if (typeof plugin.name !== 'string' || !/^[a-z\d-]+$/.test(plugin.name)) problems.push('name must be lowercase letters, digits or -');
+  if (typeof plugin.run !== 'function') problems.push('run must be a function');
+  if (plugin.permission && !PERMISSIONS.includes(plugin.permission)) problems.push(`permission must be one of ${PERMISSIONS.join(', ')}`);
+  if (plugin.chat && !CHATS.includes(plugin.chat)) problems.push(`chat must be one of ${CHATS.join(', ')}`);
+  if (plugin.aliases && !Array.isArray(plugin.aliases)) problems.push('aliases must be an array');
+  if (plugin.cooldown != null && !(plugin.cooldown >= 0)) problems.push('cooldown must be a number of seconds');
+  if (problems.length) throw new PluginError(file, problems);
+
+  return {
+    aliases: [],
+    description: '',
+    usage: '',
+    category: 'general',
+    permission: 'everyone',
+    cooldown: 0,
+    chat: 'any',
+    ...plugin,
+    file
+  };
+}
+
+//Loads plugins from a directory and dispatches prefixed messages to them
+//A plugin that throws only fails its own command, never the socket or the router
+class CommandRouter {
+  constructor({ settings, logger, services = {} }) {
+    this.settings = settings;
+    this.logger = logger.child({ module: 'commands' });
+    this.services = services;
+    this.prefixes = [...settings.PREFIX];
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.cooldowns = new Map();
+    //Ids of messages the bot sent itself, never run as commands even if they come back as 'notify'
+    this.sentIds = new NodeCache({ stdTTL: 10 * 60, useClones: false });
+    this.watcher = null;
+  }
+
+  async load(dir) {
+    this.dir = dir;
+    for (const file of fs.readdirSync(dir).filter((f) => f.endsWith('.js')).sort()) {
+      this.loadFile(path.join(dir, file));
+    }
+    this.logger.info(`Loaded ${this.commands.size} command(s) from ${path.relative(process.cwd(), dir) || dir}`);
+  }
+
+  //Returns true when the plugin was (re)loaded, a broken plugin is logged and skipped
+  loadFile(file) {
+    this.unloadFile(file);
+    try {
+      delete require.cache[require.resolve(file)];
+      this.register(normalizePlugin(require(file), file));
+      return true;
+    } catch (err) {
+      this.logger.error({ err }, `Failed to load plugin ${path.basename(file)}`);
+      return false;
+    }
+  }
+
+  unloadFile(file) {
+    for (const plugin of this.commands.values()) {
+      if (plugin.file === file) this.unregister(plugin.name);
+    }
+  }
+
+  register(plugin) {
+    const names = [plugin.name, ...plugin.aliases];
+    const taken = names.find((name) => this.commands.has(name) || this.aliases.has(name));
+    if (taken) throw new PluginError(plugin.file, [`"${taken}" is already used by another command`]);
+
+    this.commands.set(plugin.name, plugin);
+    for (const alias of plugin.aliases) this.aliases.set(alias, plugin.name);
+  }
+
+  unregister(name) {
+    const plugin = this.commands.get(name);
+    if (!plugin) return;
+    this.commands.delete(name);
+    for (const alias of plugin.aliases) this.aliases.delete(alias);
+  }
+
+  get(name) {
+    return this.commands.get(name) || this.commands.get(this.aliases.get(name)) || null;
+  }
+
+  list() {
+    return [...this.commands.values()];
+  }
+
+  //Reloads plugins as they change on disk, used by `npm run dev`
+  watch() {
+    if (this.watcher || !this.dir) return;
+    const timers = new Map();
+    this.watcher = fs.watch(this.dir, (event, filename) => {
+      if (!filename || !filename.endsWith('.js')) return;
+      clearTimeout(timers.get(filename));
+      //Editors fire several events per save
+      timers.set(filename, setTimeout(() => {
+        const file = path.join(this.dir, filename);
+        if (!fs.existsSync(file)) {
+          this.unloadFile(file);
+          this.logger.info(`Unloaded plugin ${filename}`);
+        } else if (this.loadFile(file)) {
+          this.logger.info(`Reloaded plugin ${filename}`);
+        }
+      }, 100));
+    });
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  //Splits ".cmd arg1 arg2" into its parts, null when the text is not a command
+  parse(text) {
+    const prefix = this.prefixes.find((p) => text.startsWith(p));
+    if (!prefix) return null;
+    const [name = '', ...args] = text.slice(prefix.length).trim().split(/\s+/);
+    if (!name) return null;
+    return {
+      prefix,
+      name: name.toLowerCase(),
+      args,
+      argText: text.slice(prefix.length).trim().slice(name.length).trim()
+    };
+  }
+
+  //Hooks the router up to every socket the session manager creates
+  attach(sessions) {
+    const listen = (session, sock) => {
+      sock.ev.on('messages.upsert', ({ messages, type }) => {
+        for (const msg of messages) {
+          //Baileys echoes everything the bot sends as 'append', running those would let any text
+          //the bot posts (a welcome message, a mirrored chat) execute as an owner command.
+          //Commands typed on the bot's own phone arrive as 'notify'
+          if (type === 'append' && msg.key.fromMe) {
+            this.sentIds.set(msg.key.id, true);
+            continue;
+          }
+          if (type !== 'notify' || this.sentIds.has(msg.key.id)) continue;
+          if (!msg.message || msg.key.remoteJid === 'status@broadcast') continue;
+          const ctx = createContext({ sock, session, msg, settings: this.settings, services: this.services });
+          this.dispatch(ctx).catch((err) => this.logger.error({ err }, 'Command dispatch failed'));
+        }
+      });
+    };
+
+    sessions.on('socket', listen);
+    for (const { id } of sessions.list()) {
+      const sock = sessions.get(id);
+      if (sock) listen(id, sock);
+    }
+  }
+
+  //Handler for TelegramBridge, returns true when the text was a command
+  handleTelegram({ text, reply }) {
+    const ctx = createTelegramContext({ text, reply, settings: this.settings, services: this.services });
+    return this.dispatch(ctx);
+  }
+
+  //Runs the command in ctx.text if there is one, returns true when a command matched
+  async dispatch(ctx) {
+    const parsed = this.parse(ctx.text || '');
+    if (!parsed) return false;
+    const plugin = this.get(parsed.name);
+    if (!plugin) return false;
+
+    Object.assign(ctx, parsed, { command: plugin.name, router: this });
+
+    if (ctx.platform === 'telegram' && plugin.chat === 'group') {
+      await ctx.reply('This command only works inside a WhatsApp group.');
+      return true;
+    }
+    if (plugin.chat === 'group' && !ctx.isGroup) {
+      await ctx.reply('This command can only be used in groups.');
+      return true;
+    }
+    if (plugin.chat === 'private' && ctx.isGroup) {
+      await ctx.reply('This command can only be used in a private chat.');
+      return true;
+    }
+
+    if (!(await this.allowed(plugin, ctx))) {
+      await ctx.reply(plugin.permission === 'owner'
+        ? 'This command is for the bot owner only.'
+        : 'This command is for group admins only.');
+      return true;
+    }
+
+    const wait = this.cooldownLeft(plugin, ctx);
+    if (wait) {
+      await ctx.reply(`Slow down, you can use ${ctx.prefix}${plugin.name} again in ${Math.ceil(wait / 1000)}s.`);
+      return true;
+    }
+
+    try {
+      await plugin.run(ctx);
+    } catch (err) {
+      this.logger.error({ err, command: plugin.name }, 'Command failed');
+      await Promise.resolve(ctx.reply(`❌ ${ctx.prefix}${plugin.name} failed: ${err.message}`)).catch(() => {});
+    }
+    return true;
+  }
+
+  //Whether the sender of ctx may run the plugin, owners may run everything
+  async allowed(plugin, ctx) {
+    if (ctx.isOwner || plugin.permission === 'everyone') return true;
+    if (plugin.permission === 'admin') return ctx.isGroup && await ctx.isGroupAdmin();
+    return false;
+  }
+
+  //Milliseconds the sender still has to wait, starts the cooldown when 0
+  cooldownLeft(plugin, ctx) {
+    if (!plugin.cooldown || ctx.isOwner) return 0;
+    const key = `${plugin.name}:${ctx.senderNumber}`;
+    const now = Date.now();
+    const until = this.cooldowns.get(key) || 0;
+    if (until > now) return until - now;
+    this.cooldowns.set(key, now + plugin.cooldown * 1000);
+    if (this.cooldowns.size > 5000) {
+      for (const [k, v] of this.cooldowns) if (v <= now) this.cooldowns.delete(k);
+    }
+    return 0;
+  }
+}
+
+module.exports = { CommandRouter, PluginError, normalizePlugin, PERMISSIONS, CHATS };
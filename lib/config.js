@@ -0,0 +1,228 @@
+const { parsePhoneNumber } = require('awesome-phonenumber');
+
+const SESSION_PREFIXES = ['XPLOADER-BOT:~', 'CYPHER-X:~'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      'Invalid configuration:\n' +
+      problems.map(({ key, message }) => `  - ${key}: ${message}`).join('\n')
+    );
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+//Every coercer receives the raw env string and returns the typed value, or throws a plain message
+const types = {
+  string: (raw) => raw,
+
+  integer: (raw, { min = -Infinity, max = Infinity } = {}) => {
+    if (!/^-?\d+$/.test(raw)) throw new Error(`expected a whole number, got "${raw}"`);
+    const value = Number(raw);
+    if (value < min || value > max) throw new Error(`must be between ${min} and ${max}, got ${value}`);
+    return value;
+  },
+
+  boolean: (raw) => {
+    const value = raw.toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(value)) return true;
+    if (['false', 'no', 'off', '0'].includes(value)) return false;
+    throw new Error(`expected true or false, got "${raw}"`);
+  },
+
+  choice: (raw, { values }) => {
+    const value = raw.toLowerCase();
+    if (!values.includes(value)) throw new Error(`must be one of ${values.join(', ')}, got "${raw}"`);
+    return value;
+  },
+
+  //Kept as a string so passwords with a leading zero survive
+  password: (raw) => {
+    if (!/^\d{8}$/.test(raw)) throw new Error('must be numbers only and a total of 8 digits');
+    return raw;
+  },
+
+  //Stored in WhatsApp's format: international digits without the leading +
+  phone: (raw) => {
+    const digits = raw.replace(/[\s()+-]/g, '');
+    const parsed = /^\d+$/.test(digits) && parsePhoneNumber(`+${digits}`);
+    if (!parsed || !parsed.valid) throw new Error(`"${raw}" is not a valid international phone number`);
+    return parsed.number.e164.slice(1);
+  }
+};
+
+//Single source of truth for settings.js and the "env" block of app.json
+const schema = {
+  SESSION_ID: {
+    type: 'string',
+    default: '',
+    description: "Must begin with 'XPLOADER-BOT:~' or 'CYPHER-X:~'.",
+    validate: (value) => {
+      if (value && !SESSION_PREFIXES.some((prefix) => value.startsWith(prefix))) {
+        throw new Error(`must begin with ${SESSION_PREFIXES.map((p) => `'${p}'`).join(' or ')}`);
+      }
+    }
+  },
+  BOT_ADMIN: {
+    type: 'phone',
+    default: '254712345678',
+    required: true,
+    description: 'Enter your phone number to gain administrative access to the bot.'
+  },
+  PORT: {
+    type: 'integer',
+    options: { min: 1, max: 65535 },
+    default: '2605',
+    //Heroku assigns the port itself
+    appJson: false,
+    description: 'Bot web server port'
+  },
+  GITHUB_USERNAME: {
+    type: 'string',
+    default: '',
+    description: "You must set your github username to use the bot unless you're a premium user",
+    validate: (value) => {
+      if (value && !/^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i.test(value)) {
+        throw new Error(`"${value}" is not a valid GitHub username`);
+      }
+    }
+  },
+  PREFIX: {
+    type: 'string',
+    default: '.',
+    description: 'Character(s) that start a bot command, e.g. . for .menu. Give several to accept any of them, e.g. .!/',
+    validate: (value) => {
+      if (!/^[^\s\w]{1,5}$/.test(value)) throw new Error('must be 1 to 5 symbols, without letters, digits or spaces');
+    }
+  },
+  BOT_PASSWORD: {
+    type: 'password',
+    default: '12345678',
+    description: "This will be used as auth code for others who'll connect using the app web"
+  },
+  //Session limit and expiry are signed into the key, see lib/licence.js
+  //Not validated here: a bad key must fall back to GITHUB_USERNAME in resolvePremium instead of stopping startup
+  PREMIUM_KEY: {
+    type: 'string',
+    default: '',
+    description: "If you purchased a premium membership, enter the key you received here (it begins with 'SPACE-') otherwise leave blank. The session limit and expiry date are part of the key."
+  },
+  STICKER_PACK: {
+    type: 'string',
+    default: 'SPACE-MD',
+    description: 'Pack name written into stickers made by the bot'
+  },
+  STICKER_AUTHOR: {
+    type: 'string',
+    default: '',
+    description: 'Author written into stickers made by the bot, the name of whoever asked for the sticker when empty'
+  },
+  ANTI_DELETE: {
+    type: 'boolean',
+    default: 'false',
+    appJsonValue: '',
+    description: 'Antidelete and Antiedit functionality, set true to enable and false to disable. (⚠️ This function consumes a lot of memory + storage, only enable if you have enough resources ⚠️)'
+  },
+  ANTI_DELETE_REPORT: {
+    type: 'choice',
+    options: { values: ['owner', 'chat'] },
+    default: 'owner',
+    description: "Where deleted and edited messages are reported: 'owner' sends them to BOT_ADMIN, 'chat' reposts them in the chat they came from"
+  },
+  ANTI_DELETE_CHATS: {
+    type: 'choice',
+    options: { values: ['all', 'opt-in'] },
+    default: 'all',
+    description: "'all' watches every chat except those opted out, 'opt-in' only watches chats that opted in"
+  },
+  ANTI_DELETE_MAX_AGE: {
+    type: 'integer',
+    options: { min: 1 },
+    default: '24',
+    description: 'Hours a message is kept for antidelete/antiedit before it is discarded'
+  },
+  ANTI_DELETE_MAX_SIZE: {
+    type: 'integer',
+    options: { min: 1 },
+    default: '100',
+    description: 'Maximum storage in MB used for antidelete/antiedit, the oldest messages are discarded first'
+  },
+  ANTI_DELETE_MIN_FREE: {
+    type: 'integer',
+    options: { min: 0 },
+    default: '500',
+    description: 'Stop storing messages for antidelete when less than this many MB of disk space is free'
+  },
+  ADMIN_PASSWORD: {
+    type: 'password',
+    default: '11223344',
+    description: 'This will be used as a password for gaining administrative access to the bot'
+  },
+  TELEGRAM_BOT_TOKEN: {
+    type: 'string',
+    default: '',
+    description: 'Enter telegram bot token for interaction with this bot via telegram (optional)',
+    validate: (value) => {
+      if (value && !/^\d+:[\w-]{30,}$/.test(value)) throw new Error('does not look like a token issued by @BotFather');
+    }
+  },
+  DATABASE_URL: {
+    type: 'string',
+    default: '',
+    //Provided by the heroku-postgresql addon, SQLite is used when empty
+    appJson: false,
+    description: 'Postgres connection string'
+  }
+};
+
+//Coerces and validates every key, collecting all problems before failing
+//checks(config, problems) look at several keys together and add to the same list
+function loadConfig(env = process.env, { checks = [] } = {}) {
+  const config = {};
+  const problems = [];
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const raw = (env[key] ?? '').trim() || spec.default;
+
+    if (raw === '') {
+      if (spec.required) problems.push({ key, message: 'is required' });
+      config[key] = spec.type === 'string' ? '' : null;
+      continue;
+    }
+
+    try {
+      config[key] = types[spec.type](raw, spec.options);
+      if (spec.validate) spec.validate(config[key]);
+    } catch (err) {
+      problems.push({ key, message: err.message });
+    }
+  }
+  for (const check of checks) check(config, problems);
+
+  if (problems.length) throw new ConfigError(problems);
+  return Object.freeze(config);
+}
+
+//Builds the "env" block of app.json from the schema
+function toAppJsonEnv() {
+  const env = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    if (spec.appJson === false) continue;
+    env[key] = {
+      description: spec.description,
+      value: spec.appJsonValue ?? spec.default,
+      required: Boolean(spec.required)
+    };
+  }
+  return env;
+}
+
+module.exports = {
+  ConfigError,
+  SESSION_PREFIXES,
+  schema,
+  types,
+  loadConfig,
+  toAppJsonEnv
+};
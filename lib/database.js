@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+
+const DEFAULT_STORAGE = path.join(__dirname, '..', 'database', 'space.db');
+
+//Postgres when the heroku-postgresql addon (DATABASE_URL) is present, a local SQLite file otherwise
+function createDatabase({ url = '', storage = DEFAULT_STORAGE, logging = false } = {}) {
+  if (url) {
+    return new Sequelize(url, {
+      dialect: 'postgres',
+      logging,
+      //Heroku Postgres only accepts SSL connections with its self-signed certificate
+      dialectOptions: /localhost|127\.0\.0\.1/.test(url)
+        ? {}
+        : { ssl: { require: true, rejectUnauthorized: false } }
+    });
+  }
+
+  if (storage !== ':memory:') fs.mkdirSync(path.dirname(storage), { recursive: true });
+  return new Sequelize({ dialect: 'sqlite', storage, logging });
+}
+
+module.exports = { createDatabase, DEFAULT_STORAGE };
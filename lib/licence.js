@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { ConfigError } = require('./config');
+
+//Premium keys are signed offline with the maintainers' private key and verified here without any network call
+//Format: SPACE-<base64url JSON payload>.<base64url Ed25519 signature of the payload part>
+const PUBLIC_KEY = `-----BEGIN PUBLIC KEY-----
+MCowBQYDK2VwAyEAy37uetDX3vyzi4X0mDHVt7xpb3uYr7JkYU5HZxf1zUQ=
+-----END PUBLIC KEY-----`;
+
+const KEY_PREFIX = 'SPACE-';
+const VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+//Warnings start this many days before a licence expires
+const GRACE_DAYS = 7;
+//Limit without a valid licence
+const FREE_SESSIONS = 1;
+//Settings that used to be typed in by hand and now come from the signed key
+const LEGACY_KEYS = ['MAX_SESSIONS', 'EXPIRY'];
+
+class LicenceError extends Error {
+  constructor(message, code, licence = null) {
+    super(message);
+    this.name = 'LicenceError';
+    this.code = code;
+    this.licence = licence;
+  }
+}
+
+//Splits a key and decodes its payload, without checking the signature
+function parseLicence(key) {
+  const value = String(key || '').trim();
+  if (!value.startsWith(KEY_PREFIX)) {
+    throw new LicenceError(`Premium key must begin with '${KEY_PREFIX}'`, 'MALFORMED');
+  }
+
+  const parts = value.slice(KEY_PREFIX.length).split('.');
+  if (parts.length !== 2 || !parts[0] || !parts[1]) {
+    throw new LicenceError('Premium key is incomplete, copy the whole key again', 'MALFORMED');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new LicenceError('Premium key is corrupt, its payload can not be read', 'MALFORMED');
+  }
+  //null, numbers, strings and arrays all parse as JSON but are not licences
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new LicenceError('Premium key is corrupt, its payload is not a licence', 'MALFORMED');
+  }
+  return { payload: parts[0], signature: Buffer.from(parts[1], 'base64url'), data };
+}
+
+//Returns { id, holder, maxSessions, expiry, issued, daysLeft, inGrace } or throws a LicenceError
+function verifyLicence(key, { publicKey = PUBLIC_KEY, now = new Date() } = {}) {
+  const { payload, signature, data } = parseLicence(key);
+
+  const valid = crypto.verify(null, Buffer.from(payload), publicKey, signature);
+  if (!valid) throw new LicenceError('Premium key signature is invalid, the key was altered or not issued for SPACE-MD', 'BAD_SIGNATURE');
+
+  if (data.v !== VERSION) {
+    throw new LicenceError(`Premium key version ${data.v} is not supported by this version of the bot, update the bot`, 'UNSUPPORTED_VERSION');
+  }
+
+  const expiry = new Date(`${data.expires}T23:59:59.999Z`);
+  if (!data.id || !Number.isInteger(data.sessions) || data.sessions < 1 || Number.isNaN(expiry.getTime())) {
+    throw new LicenceError('Premium key payload is incomplete', 'INVALID_PAYLOAD');
+  }
+
+  const licence = {
+    id: data.id,
+    holder: data.holder || '',
+    maxSessions: data.sessions,
+    expiry,
+    issued: data.issued ? new Date(data.issued) : null,
+    daysLeft: Math.ceil((expiry - now) / DAY)
+  };
+  licence.inGrace = licence.daysLeft <= GRACE_DAYS;
+
+  if (expiry < now) {
+    throw new LicenceError(`Premium key expired on ${data.expires}`, 'EXPIRED', licence);
+  }
+  return licence;
+}
+
+//Signs a payload, used by scripts/licence.js on the maintainers' machine only
+function signLicence({ id, holder, sessions, expires, issued = new Date().toISOString().slice(0, 10) }, privateKey) {
+  const payload = Buffer.from(JSON.stringify({ v: VERSION, id, holder, sessions, expires, issued })).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(payload), privateKey).toString('base64url');
+  return `${KEY_PREFIX}${payload}.${signature}`;
+}
+
+//Returns { premium, maxSessions, licence, error }, error is the LicenceError of a rejected PREMIUM_KEY
+function evaluatePremium(settings, options) {
+  if (!settings.PREMIUM_KEY) return { premium: false, maxSessions: FREE_SESSIONS, licence: null, error: null };
+  try {
+    const licence = verifyLicence(settings.PREMIUM_KEY, options);
+    return { premium: true, maxSessions: licence.maxSessions, licence, error: null };
+  } catch (err) {
+    if (!(err instanceof LicenceError)) throw err;
+    return { premium: false, maxSessions: FREE_SESSIONS, licence: null, error: err };
+  }
+}
+
+//Decides between premium and the non-premium GITHUB_USERNAME path at startup. When neither applies
+//the reasons are added to `problems` if given (a loadConfig check), or thrown as a ConfigError
+function resolvePremium(settings, options, problems) {
+  const state = evaluatePremium(settings, options);
+  if (!state.premium && !settings.GITHUB_USERNAME) {
+    const found = [{ key: 'GITHUB_USERNAME', message: 'is required unless you have a valid PREMIUM_KEY' }];
+    if (state.error) found.unshift({ key: 'PREMIUM_KEY', message: state.error.message });
+    if (!problems) throw new ConfigError(found);
+    //An invalid GITHUB_USERNAME is already reported as such
+    problems.push(...found.filter(({ key }) => !problems.some((problem) => problem.key === key)));
+  }
+  return state;
+}
+
+//Re-checks the licence every hour: warns during the grace period and drops to the free limit once it lapses
+//notify(text) sends a message to the bot admin and resolves true once it was delivered,
+//the renewal reminder is retried on every check until then and repeats at most once a day after
+function watchLicence({
+  settings,
+  sessions,
+  logger,
+  notify = async () => false,
+  interval = 60 * 60 * 1000,
+  publicKey = PUBLIC_KEY,
+  clock = () => Date.now()
+}) {
+  let lastNotice = 0;
+
+  const check = async () => {
+    const now = clock();
+    const state = evaluatePremium(settings, { publicKey, now: new Date(now) });
+
+    if (state.premium && state.licence.inGrace && now - lastNotice > DAY) {
+      const text = `⚠️ Your SPACE-MD premium licence expires in ${state.licence.daysLeft} day(s). ` +
+        'Renew it to keep your extra sessions.';
+      logger.warn(text);
+      if (await notify(text)) lastNotice = now;
+    }
+
+    if (state.premium || sessions.maxSessions === state.maxSessions) return;
+
+    //Newest sessions are stopped first, their credentials stay stored for when the licence is renewed
+    const extra = sessions.list().slice(state.maxSessions);
+    sessions.maxSessions = state.maxSessions;
+    for (const { id } of extra) await sessions.stop(id);
+
+    const text = `⚠️ Your SPACE-MD premium licence has lapsed (${state.error ? state.error.message : 'no key'}). ` +
+      (settings.GITHUB_USERNAME
+        ? `The bot now runs with ${state.maxSessions} session on GITHUB_USERNAME ${settings.GITHUB_USERNAME}`
+        : `The bot now runs with ${state.maxSessions} session, set GITHUB_USERNAME before the next restart`) +
+      (extra.length ? `, stopped: ${extra.map((s) => s.id).join(', ')}` : '');
+    logger.warn(text);
+    await notify(text);
+  };
+
+  const run = () => check().catch((err) => logger.error({ err }, 'Licence check failed'));
+  const timer = setInterval(run, interval);
+  timer.unref();
+  run();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  PUBLIC_KEY,
+  KEY_PREFIX,
+  GRACE_DAYS,
+  FREE_SESSIONS,
+  LEGACY_KEYS,
+  LicenceError,
+  parseLicence,
+  verifyLicence,
+  signLicence,
+  evaluatePremium,
+  resolvePremium,
+  watchLicence
+};
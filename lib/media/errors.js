@@ -0,0 +1,10 @@
+//Errors the user caused (too big, too long, wrong type) carry a code and a message fit to reply with
+class MediaError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MediaError';
+    this.code = code;
+  }
+}
+
+module.exports = { MediaError };
@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const FileType = require('file-type');
+const Jimp = require('jimp');
+const webp = require('node-webpmux');
+const googleTTS = require('google-tts-api');
+const { MediaError } = require('./errors');
+const { JobQueue } = require('./queue');
+const { withTempDir } = require('./temp');
+
+const MB = 1024 * 1024;
+
+const DEFAULT_LIMITS = {
+  //Largest input accepted by any conversion
+  maxInputBytes: 20 * MB,
+  //Animated stickers longer than this are cut
+  maxStickerSeconds: 10,
+  //WhatsApp drops stickers above roughly 1 MB
+  maxStickerBytes: 1 * MB,
+  maxAudioSeconds: 15 * 60,
+  maxTtsChars: 1000,
+  //Any single ffmpeg / imagemagick run is killed after this
+  processTimeout: 120
+};
+
+//Languages Google's speech endpoint reads, anything else fails upstream
+const TTS_LANGUAGES = [
+  'af', 'ar', 'bg', 'bn', 'bs', 'ca', 'cs', 'cy', 'da', 'de', 'el', 'en', 'eo', 'es', 'et', 'fi', 'fr',
+  'gu', 'hi', 'hr', 'hu', 'hy', 'id', 'is', 'it', 'iw', 'ja', 'jw', 'km', 'kn', 'ko', 'la', 'lv', 'mk',
+  'ml', 'mr', 'ms', 'my', 'ne', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'si', 'sk', 'sq', 'sr', 'su', 'sv',
+  'sw', 'ta', 'te', 'th', 'tl', 'tr', 'uk', 'ur', 'vi', 'zh-CN', 'zh-TW'
+];
+
+//Fetches speech as mp3 chunks, swapped out in tests
+async function googleSpeech(text, lang) {
+  const parts = await googleTTS.getAllAudioBase64(text, { lang, slow: false, splitPunct: ',.?!;:' });
+  return Buffer.concat(parts.map((part) => Buffer.from(part.base64, 'base64')));
+}
+
+//Shared media layer for plugins: stickers, sticker → image/GIF, voice notes, speech and image resizing
+//Every conversion goes through one queue so only a few ffmpeg processes ever run at once
+class MediaPipeline {
+  constructor({ limits = {}, concurrency = 2, maxPending = 20, speech = googleSpeech, stickerPack = 'SPACE-MD', stickerAuthor = '' } = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.queue = new JobQueue({ concurrency, maxPending });
+    this.speech = speech;
+    this.stickerPack = stickerPack;
+    this.stickerAuthor = stickerAuthor;
+  }
+
+  //Detects the type from the content, never trusts a mimetype sent by the client
+  async inspect(buffer) {
+    if (!Buffer.isBuffer(buffer) || !buffer.length) throw new MediaError('No media to work with', 'EMPTY');
+    if (buffer.length > this.limits.maxInputBytes) {
+      throw new MediaError(`Media is larger than ${Math.round(this.limits.maxInputBytes / MB)} MB`, 'TOO_LARGE');
+    }
+    const type = await FileType.fromBuffer(buffer);
+    if (!type) throw new MediaError('Unrecognised media format', 'UNSUPPORTED');
+    return { ...type, kind: type.mime.split('/')[0] };
+  }
+
+  //Same limits as inspect / _checkDuration, applied to the size and length a message announces
+  //so oversized media is refused before it is downloaded
+  checkAnnounced({ bytes = 0, seconds = 0 }) {
+    if (bytes > this.limits.maxInputBytes) {
+      throw new MediaError(`Media is larger than ${Math.round(this.limits.maxInputBytes / MB)} MB`, 'TOO_LARGE');
+    }
+    if (seconds > this.limits.maxAudioSeconds) {
+      throw new MediaError(`Media is ${Math.round(seconds)}s long, at most ${this.limits.maxAudioSeconds}s is supported`, 'TOO_LONG');
+    }
+  }
+
+  //Image or short video → 512x512 webp sticker with pack / author EXIF
+  toSticker(buffer, { pack = this.stickerPack, author = this.stickerAuthor } = {}) {
+    return this.queue.run(() => withTempDir(async (dir) => {
+      const { ext, kind } = await this.inspect(buffer);
+      if (kind !== 'image' && kind !== 'video') throw new MediaError('Only images and videos can become stickers', 'UNSUPPORTED');
+
+      const input = path.join(dir, `input.${ext}`);
+      const output = path.join(dir, 'sticker.webp');
+      await fs.promises.writeFile(input, buffer);
+
+      //Longer clips are cut to maxStickerSeconds by -t below
+      const animated = kind === 'video' || ext === 'gif';
+
+      //Retry with lower quality and frame rate when the first pass is too big for WhatsApp
+      let sticker;
+      for (const [quality, fps] of [[75, 15], [40, 10], [20, 8]]) {
+        await this._ffmpeg(input, output, [
+          '-vcodec', 'libwebp',
+          '-vf', `scale=512:512:force_original_aspect_ratio=decrease,fps=${fps},` +
+            'pad=512:512:-1:-1:color=white@0.0,format=rgba',
+          '-loop', '0',
+          '-t', String(this.limits.maxStickerSeconds),
+          '-q:v', String(quality),
+          '-preset', 'default',
+          '-an',
+          '-vsync', '0'
+        ]);
+        sticker = await fs.promises.readFile(output);
+        if (!animated || sticker.length <= this.limits.maxStickerBytes) break;
+      }
+      if (sticker.length > this.limits.maxStickerBytes) {
+        throw new MediaError('That video is too detailed for a sticker, try a shorter clip', 'TOO_LARGE');
+      }
+      return addStickerExif(sticker, { pack, author });
+    }));
+  }
+
+  //Static sticker → png, animated sticker → gif (or mp4, which WhatsApp plays as a GIF)
+  stickerToImage(buffer, { animatedFormat = 'mp4' } = {}) {
+    return this.queue.run(() => withTempDir(async (dir) => {
+      const { mime } = await this.inspect(buffer);
+      if (mime !== 'image/webp') throw new MediaError('That is not a sticker', 'UNSUPPORTED');
+
+      const image = new webp.Image();
+      await image.load(buffer);
+      const input = path.join(dir, 'sticker.webp');
+      await fs.promises.writeFile(input, buffer);
+
+      if (!image.hasAnim) {
+        const output = path.join(dir, 'image.png');
+        await this._ffmpeg(input, output, []);
+        return { type: 'image', mimetype: 'image/png', buffer: await fs.promises.readFile(output) };
+      }
+
+      //ffmpeg can not decode animated webp, imagemagick can
+      const gif = path.join(dir, 'sticker.gif');
+      await this._exec('convert', [input, '-coalesce', gif]);
+      if (animatedFormat === 'gif') {
+        return { type: 'gif', mimetype: 'image/gif', buffer: await fs.promises.readFile(gif) };
+      }
+
+      const output = path.join(dir, 'sticker.mp4');
+      await this._ffmpeg(gif, output, [
+        '-movflags', 'faststart',
+        '-pix_fmt', 'yuv420p',
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'
+      ]);
+      return { type: 'video', mimetype: 'video/mp4', buffer: await fs.promises.readFile(output) };
+    }));
+  }
+
+  //Any audio or video → mono opus in ogg, the format WhatsApp voice notes use
+  toVoiceNote(buffer) {
+    return this.queue.run(() => withTempDir(async (dir) => {
+      const { ext, kind } = await this.inspect(buffer);
+      if (kind !== 'audio' && kind !== 'video') throw new MediaError('Only audio and video can become voice notes', 'UNSUPPORTED');
+
+      const input = path.join(dir, `input.${ext}`);
+      const output = path.join(dir, 'voice.ogg');
+      await fs.promises.writeFile(input, buffer);
+      await this._checkDuration(input, this.limits.maxAudioSeconds, 'voice note');
+
+      await this._ffmpeg(input, output, ['-vn', '-c:a', 'libopus', '-b:a', '64k', '-ac', '1', '-ar', '48000', '-f', 'ogg']);
+      return { mimetype: 'audio/ogg; codecs=opus', buffer: await fs.promises.readFile(output) };
+    }));
+  }
+
+  //Text → speech, as a voice note unless asVoiceNote is false (then mp3)
+  async textToSpeech(text, { lang = 'en', asVoiceNote = true } = {}) {
+    const clean = String(text || '').trim();
+    if (!clean) throw new MediaError('Give me some text to read out', 'EMPTY');
+    if (clean.length > this.limits.maxTtsChars) {
+      throw new MediaError(`Text is longer than ${this.limits.maxTtsChars} characters`, 'TOO_LARGE');
+    }
+    if (!TTS_LANGUAGES.includes(lang)) {
+      throw new MediaError(`Unknown language "${lang}", use a code such as en, fr, es, sw or zh-CN`, 'UNSUPPORTED');
+    }
+
+    const mp3 = await this.speech(clean, lang);
+    if (!asVoiceNote) return { mimetype: 'audio/mpeg', buffer: mp3 };
+    return this.toVoiceNote(mp3);
+  }
+
+  //Fits an image inside width x height without upscaling, re-encoded as jpeg
+  resizeImage(buffer, { width = 1280, height = 1280, quality = 80 } = {}) {
+    return this.queue.run(async () => {
+      const { kind, mime } = await this.inspect(buffer);
+      if (kind !== 'image' || mime === 'image/webp' || mime === 'image/gif') {
+        throw new MediaError('Only still images can be resized', 'UNSUPPORTED');
+      }
+      const image = await Jimp.read(buffer);
+      if (image.bitmap.width > width || image.bitmap.height > height) image.scaleToFit(width, height);
+      image.quality(Math.max(1, Math.min(100, quality)));
+      return {
+        mimetype: 'image/jpeg',
+        width: image.bitmap.width,
+        height: image.bitmap.height,
+        buffer: await image.getBufferAsync(Jimp.MIME_JPEG)
+      };
+    });
+  }
+
+  async _checkDuration(file, max, what) {
+    const duration = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(file, (err, data) => (err ? reject(new MediaError('Could not read that media file', 'CORRUPT')) : resolve(data.format.duration)));
+    });
+    if (duration > max) {
+      throw new MediaError(`Media is ${Math.round(duration)}s long, a ${what} can be at most ${max}s`, 'TOO_LONG');
+    }
+    return duration;
+  }
+
+  _ffmpeg(input, output, options) {
+    return new Promise((resolve, reject) => {
+      ffmpeg(input, { timeout: this.limits.processTimeout })
+        .outputOptions(options)
+        .on('error', (err) => reject(new MediaError(`Conversion failed: ${err.message.split('\n')[0]}`, 'FAILED')))
+        .on('end', resolve)
+        .save(output);
+    });
+  }
+
+  _exec(command, args) {
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: this.limits.processTimeout * 1000 }, (err) => {
+        if (err) reject(new MediaError(`Conversion failed: ${err.message.split('\n')[0]}`, 'FAILED'));
+        else resolve();
+      });
+    });
+  }
+}
+
+//WhatsApp reads the sticker pack name and author from a JSON blob in the webp EXIF chunk
+async function addStickerExif(buffer, { pack = '', author = '', emojis = [] } = {}) {
+  const json = Buffer.from(JSON.stringify({
+    'sticker-pack-id': crypto.randomUUID(),
+    'sticker-pack-name': pack,
+    'sticker-pack-publisher': author,
+    emojis
+  }), 'utf8');
+  //Little endian TIFF header with a single 0x5741 tag pointing at the JSON
+  const header = Buffer.from([
+    0x49, 0x49, 0x2a, 0x00, 0x08, 0x00, 0x00, 0x00, 0x01, 0x00, 0x41, 0x57,
+    0x07, 0x00, 0x00, 0x00, 0x00, 0x00, 0x16, 0x00, 0x00, 0x00
+  ]);
+  const exif = Buffer.concat([header, json]);
+  exif.writeUIntLE(json.length, 14, 4);
+
+  const image = new webp.Image();
+  await image.load(buffer);
+  image.exif = exif;
+  return image.save(null);
+}
+
+//Pack and author of a sticker, null when it has none
+async function readStickerExif(buffer) {
+  const image = new webp.Image();
+  await image.load(buffer);
+  if (!image.exif) return null;
+  try {
+    const json = JSON.parse(image.exif.subarray(22).toString('utf8'));
+    return { pack: json['sticker-pack-name'] || '', author: json['sticker-pack-publisher'] || '' };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { MediaPipeline, MediaError, DEFAULT_LIMITS, TTS_LANGUAGES, addStickerExif, readStickerExif, googleSpeech };
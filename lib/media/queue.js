@@ -0,0 +1,41 @@
+const { MediaError } = require('./errors');
+
+//Runs at most `concurrency` jobs at once, ffmpeg and jimp each take a full CPU core on a small dyno
+//Jobs beyond `maxPending` waiting ones are refused instead of piling up in memory
+class JobQueue {
+  constructor({ concurrency = 2, maxPending = 20 } = {}) {
+    this.concurrency = concurrency;
+    this.maxPending = maxPending;
+    this.running = 0;
+    this.pending = [];
+  }
+
+  run(job) {
+    if (this.pending.length >= this.maxPending) {
+      return Promise.reject(new MediaError('Too many media jobs queued, try again in a moment', 'BUSY'));
+    }
+    return new Promise((resolve, reject) => {
+      this.pending.push({ job, resolve, reject });
+      this._next();
+    });
+  }
+
+  get size() {
+    return { running: this.running, pending: this.pending.length };
+  }
+
+  _next() {
+    if (this.running >= this.concurrency || !this.pending.length) return;
+    const { job, resolve, reject } = this.pending.shift();
+    this.running += 1;
+    Promise.resolve()
+      .then(job)
+      .then(resolve, reject)
+      .finally(() => {
+        this.running -= 1;
+        this._next();
+      });
+  }
+}
+
+module.exports = { JobQueue };
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PREFIX = 'space-media-';
+
+//Gives fn a fresh directory and removes it afterwards, whether fn succeeds or throws
+async function withTempDir(fn) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), PREFIX));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+//Removes directories left behind by a process that was killed mid-job
+async function sweepTempDirs({ olderThan = 60 * 60 * 1000 } = {}) {
+  const root = os.tmpdir();
+  let removed = 0;
+  for (const name of await fs.promises.readdir(root)) {
+    if (!name.startsWith(PREFIX)) continue;
+    const dir = path.join(root, name);
+    const stat = await fs.promises.stat(dir).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs > olderThan) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+module.exports = { withTempDir, sweepTempDirs };
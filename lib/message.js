@@ -0,0 +1,67 @@
+const { getContentType, normalizeMessageContent } = require('@whiskeysockets/baileys');
+
+//Helpers for reading incoming Baileys messages, shared by every feature that handles chats
+
+const MEDIA_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  stickerMessage: 'sticker',
+  documentMessage: 'document',
+  documentWithCaptionMessage: 'document'
+};
+
+//Strips ephemeral / view once wrappers and returns [type, content]
+function unwrap(message) {
+  const normalized = normalizeMessageContent(message);
+  if (!normalized) return [null, null];
+  let type = getContentType(normalized);
+  let content = normalized[type];
+  if (type === 'documentWithCaptionMessage') {
+    type = 'documentMessage';
+    content = content.message.documentMessage;
+  }
+  return [type, content];
+}
+
+//Text or caption of a message, empty string when there is none
+function getText(message) {
+  const [type, content] = unwrap(message);
+  if (!type) return '';
+  if (type === 'conversation') return content || '';
+  return content?.text || content?.caption || '';
+}
+
+//'image', 'video', 'audio', 'sticker', 'document' or null
+function getMediaType(message) {
+  const [type] = unwrap(message);
+  return MEDIA_TYPES[type] || null;
+}
+
+function getContextInfo(message) {
+  const [, content] = unwrap(message);
+  return (content && typeof content === 'object' && content.contextInfo) || null;
+}
+
+//Number part of a JID: 254712345678@s.whatsapp.net and 254712345678:12@s.whatsapp.net both give 254712345678
+const jidToNumber = (jid = '') => jid.split('@')[0].split(':')[0];
+
+const isGroupJid = (jid = '') => jid.endsWith('@g.us');
+
+//Accepts a plain number or a JID
+function toJid(value) {
+  const text = String(value).trim();
+  if (text.includes('@')) return text;
+  return `${text.replace(/\D/g, '')}@s.whatsapp.net`;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  unwrap,
+  getText,
+  getMediaType,
+  getContextInfo,
+  jidToNumber,
+  isGroupJid,
+  toJid
+};
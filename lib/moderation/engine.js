@@ -0,0 +1,232 @@
+const NodeCache = require('node-cache');
+const { toNumber } = require('@whiskeysockets/baileys');
+const { getText, jidToNumber, isGroupJid } = require('../message');
+const { defineModerationModels } = require('./store');
+const { DEFAULT_WELCOME, DEFAULT_GOODBYE, FloodDetector, checkMessage, renderTemplate } = require('./rules');
+
+//Policy fields group admins may change through updatePolicy
+const EDITABLE = [
+  'antilink', 'allowlist', 'antiflood', 'floodMessages', 'floodWindow',
+  'warnLimit', 'welcome', 'welcomeText', 'goodbye', 'goodbyeText'
+];
+
+//Per group antilink, antiflood, warn → kick ladder and welcome / goodbye messages
+//Every action taken is reported to the BOT_ADMIN chat
+class ModerationEngine {
+  constructor({ sequelize, sessions, settings, logger, clock = Date.now }) {
+    this.sessions = sessions;
+    this.settings = settings;
+    this.logger = logger.child({ module: 'moderation' });
+    this.models = defineModerationModels(sequelize);
+
+    this.policies = new Map();
+    this.flood = new FloodDetector({ clock });
+    //Admin lists change rarely, one lookup per group every few minutes is plenty
+    this.metadata = new NodeCache({ stdTTL: 5 * 60, useClones: false });
+    //Warnings for one member are counted one at a time
+    this.locks = new Map();
+
+    this._onSocket = (id, sock) => this._attach(id, sock);
+  }
+
+  async start() {
+    const { GroupPolicy, GroupWarning } = this.models;
+    await GroupPolicy.sync();
+    await GroupWarning.sync();
+    for (const policy of await GroupPolicy.findAll()) {
+      const plain = policy.get({ plain: true });
+      this.policies.set(`${plain.session}|${plain.groupId}`, plain);
+    }
+
+    this.sessions.on('socket', this._onSocket);
+    for (const { id } of this.sessions.list()) {
+      const sock = this.sessions.get(id);
+      if (sock) this._attach(id, sock);
+    }
+  }
+
+  stop() {
+    this.sessions.off('socket', this._onSocket);
+  }
+
+  //Stored policy of a group, or the defaults when it was never configured
+  policy(session, groupId) {
+    return this.policies.get(`${session}|${groupId}`) ||
+      this.models.GroupPolicy.build({ session, groupId }).get({ plain: true });
+  }
+
+  async updatePolicy(session, groupId, changes) {
+    const unknown = Object.keys(changes).filter((key) => !EDITABLE.includes(key));
+    if (unknown.length) throw new Error(`Unknown policy field(s): ${unknown.join(', ')}`);
+
+    const current = this.policy(session, groupId);
+    const policy = { session, groupId };
+    for (const key of EDITABLE) policy[key] = key in changes ? changes[key] : current[key];
+    await this.models.GroupPolicy.upsert(policy);
+    this.policies.set(`${session}|${groupId}`, policy);
+    return policy;
+  }
+
+  //Runs one message through the group's rules without acting on it, returns { rule, reason } or null
+  //Feeding a stream of { sender, text, timestamp } here is how the rules are exercised without a socket
+  inspect(session, groupId, message) {
+    return checkMessage(this.policy(session, groupId), message, this.flood);
+  }
+
+  async warnings(session, groupId, participant) {
+    const warning = await this.models.GroupWarning.findOne({
+      where: { session, groupId, participant: jidToNumber(participant) }
+    });
+    return warning ? warning.count : 0;
+  }
+
+  async resetWarnings(session, groupId, participant) {
+    await this.models.GroupWarning.destroy({ where: { session, groupId, participant: jidToNumber(participant) } });
+  }
+
+  //Adds a warning and removes the member once the group's warnLimit is reached
+  //Returns { count, limit, removed }, removed is false when the bot is not a group admin
+  warn(session, sock, groupId, participant, reason) {
+    const number = jidToNumber(participant);
+    return this._serial(`${session}|${groupId}|${number}`, async () => {
+      const { GroupWarning } = this.models;
+      const limit = this.policy(session, groupId).warnLimit;
+      const where = { session, groupId, participant: number };
+      const [warning] = await GroupWarning.findOrCreate({ where, defaults: { count: 0 } });
+      const count = warning.count + 1;
+      const mention = { mentions: [participant] };
+
+      if (count < limit) {
+        await warning.update({ count, lastReason: reason });
+        await sock.sendMessage(groupId, { text: `⚠️ @${number} ${reason}. Warning ${count}/${limit}.`, ...mention });
+        await this._log(sock, groupId, participant, `warned ${count}/${limit}, ${reason}`);
+        return { count, limit, removed: false };
+      }
+
+      if (!(await this._isBotAdmin(sock, groupId))) {
+        await warning.update({ count, lastReason: reason });
+        await sock.sendMessage(groupId, {
+          text: `⚠️ @${number} ${reason} and has ${count}/${limit} warnings, make me an admin so I can remove them.`,
+          ...mention
+        });
+        await this._log(sock, groupId, participant, `reached ${count}/${limit} warnings but could not be removed, the bot is not an admin`);
+        return { count, limit, removed: false };
+      }
+
+      await sock.groupParticipantsUpdate(groupId, [participant], 'remove');
+      await warning.destroy();
+      await sock.sendMessage(groupId, { text: `🚫 @${number} ${reason} and was removed after ${limit} warnings.`, ...mention });
+      await this._log(sock, groupId, participant, `removed after ${limit} warnings, ${reason}`);
+      return { count, limit, removed: true };
+    });
+  }
+
+  //Applies the group's rules to an incoming message: deletes it if the bot can and warns the sender
+  async handleMessage(session, sock, msg) {
+    const groupId = msg.key.remoteJid;
+    if (!msg.message || msg.key.fromMe || !isGroupJid(groupId)) return null;
+    const policy = this.policy(session, groupId);
+    if (!policy.antilink && !policy.antiflood) return null;
+
+    const participant = msg.key.participant;
+    if (!participant || jidToNumber(participant) === this.settings.BOT_ADMIN) return null;
+
+    const violation = this.inspect(session, groupId, {
+      sender: jidToNumber(participant),
+      text: getText(msg.message),
+      timestamp: toNumber(msg.messageTimestamp || 0) * 1000 || undefined
+    });
+    //Admins are only looked up once a rule is broken, most messages never need it
+    if (!violation || await this._isAdmin(sock, groupId, participant)) return null;
+
+    if (violation.rule === 'antilink' && await this._isBotAdmin(sock, groupId)) {
+      await sock.sendMessage(groupId, { delete: msg.key });
+    }
+    await this.warn(session, sock, groupId, participant, violation.reason);
+    return violation;
+  }
+
+  async handleParticipants(session, sock, { id: groupId, participants, action }) {
+    this.metadata.del(this._metadataKey(sock, groupId));
+    if (action !== 'add' && action !== 'remove') return;
+
+    const policy = this.policy(session, groupId);
+    const enabled = action === 'add' ? policy.welcome : policy.goodbye;
+    if (!enabled) return;
+
+    const template = action === 'add'
+      ? policy.welcomeText || DEFAULT_WELCOME
+      : policy.goodbyeText || DEFAULT_GOODBYE;
+    const meta = await this._metadata(sock, groupId).catch(() => null);
+
+    for (const entry of participants) {
+      const participant = typeof entry === 'string' ? entry : entry.id;
+      if (jidToNumber(participant) === jidToNumber(sock.user?.id)) continue;
+      const text = renderTemplate(template, {
+        user: `@${jidToNumber(participant)}`,
+        group: meta?.subject || 'the group',
+        desc: meta?.desc || '',
+        count: meta?.participants.length ?? ''
+      });
+      await sock.sendMessage(groupId, { text, mentions: [participant] });
+    }
+  }
+
+  _attach(session, sock) {
+    const run = (promise) => promise.catch((err) => this.logger.error({ err, session }, 'Moderation failed'));
+
+    sock.ev.on('messages.upsert', ({ messages, type }) => {
+      if (type !== 'notify') return;
+      for (const msg of messages) run(this.handleMessage(session, sock, msg));
+    });
+    sock.ev.on('group-participants.update', (update) => run(this.handleParticipants(session, sock, update)));
+    sock.ev.on('groups.update', (updates) => {
+      for (const { id } of updates) this.metadata.del(this._metadataKey(sock, id));
+    });
+  }
+
+  //Keyed by the bot's number, two sessions in one group see the same admins
+  _metadataKey(sock, groupId) {
+    return `${jidToNumber(sock.user?.id)}|${groupId}`;
+  }
+
+  async _metadata(sock, groupId) {
+    const key = this._metadataKey(sock, groupId);
+    let meta = this.metadata.get(key);
+    if (!meta) {
+      meta = await sock.groupMetadata(groupId);
+      this.metadata.set(key, meta);
+    }
+    return meta;
+  }
+
+  async _isAdmin(sock, groupId, jid) {
+    const meta = await this._metadata(sock, groupId).catch(() => null);
+    const participant = meta?.participants.find((p) => jidToNumber(p.id) === jidToNumber(jid));
+    return Boolean(participant?.admin);
+  }
+
+  _isBotAdmin(sock, groupId) {
+    return this._isAdmin(sock, groupId, sock.user?.id || '');
+  }
+
+  _serial(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.locks.set(key, next);
+    next.catch(() => {}).finally(() => {
+      if (this.locks.get(key) === next) this.locks.delete(key);
+    });
+    return next;
+  }
+
+  async _log(sock, groupId, participant, action) {
+    const subject = await this._metadata(sock, groupId).then((meta) => meta.subject).catch(() => groupId);
+    const text = `🛡️ *Moderation*\nGroup: ${subject}\nMember: +${jidToNumber(participant)}\nAction: ${action}`;
+    this.logger.info({ groupId, participant }, action);
+    await sock.sendMessage(`${this.settings.BOT_ADMIN}@s.whatsapp.net`, { text })
+      .catch((err) => this.logger.warn({ err }, 'Could not send the moderation log to BOT_ADMIN'));
+  }
+}
+
+module.exports = { ModerationEngine, EDITABLE };
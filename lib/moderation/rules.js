@@ -0,0 +1,102 @@
+//Pure moderation rules, no sockets or database, so they can be fed simulated message streams
+
+//Bare domains only count as links for these endings, anything with a scheme or www. always does
+const LINK_TLDS = [
+  'com', 'net', 'org', 'info', 'biz', 'io', 'co', 'me', 'ly', 'gg', 'tv', 'app', 'dev', 'xyz', 'link',
+  'site', 'online', 'store', 'shop', 'club', 'live', 'tk', 'ml', 'ga', 'cf', 'gq', 'ke', 'ng', 'za',
+  'in', 'uk', 'us', 'ru', 'id', 'br'
+];
+
+const HOST = '(?:[a-z\\d](?:[a-z\\d-]{0,61}[a-z\\d])?\\.)+[a-z]{2,24}';
+const LINK_PATTERN = new RegExp(`(https?:\\/\\/|www\\.)?(${HOST})(?::\\d+)?(?:[/?#]\\S*)?`, 'gi');
+
+const DEFAULT_WELCOME = 'Welcome {user} to *{group}* 👋';
+const DEFAULT_GOODBYE = 'Goodbye {user} 👋';
+
+//Lower case host without www., null when the value is not a domain
+function normalizeDomain(value) {
+  const host = String(value || '').trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '');
+  return new RegExp(`^${HOST}$`).test(host) ? host : null;
+}
+
+//Hosts of every link in text, in order of appearance
+function findLinks(text) {
+  const hosts = [];
+  for (const [, scheme, host] of String(text || '').matchAll(LINK_PATTERN)) {
+    const domain = host.toLowerCase().replace(/^www\./, '');
+    if (scheme || LINK_TLDS.includes(domain.split('.').pop())) hosts.push(domain);
+  }
+  return hosts;
+}
+
+//An allowlisted domain also allows its subdomains
+function isAllowedDomain(host, allowlist = []) {
+  return allowlist.some((domain) => host === domain || host.endsWith(`.${domain}`));
+}
+
+//Counts messages per key inside a sliding window, a detected flood starts the count again
+//so one burst earns one warning
+class FloodDetector {
+  constructor({ clock = Date.now } = {}) {
+    this.clock = clock;
+    this.hits = new Map();
+  }
+
+  //true when this message makes more than `messages` within `window` seconds
+  hit(key, { messages, window }, timestamp = this.clock()) {
+    const since = timestamp - window * 1000;
+    const recent = (this.hits.get(key) || []).filter((t) => t > since);
+    recent.push(timestamp);
+
+    if (recent.length > messages) {
+      this.hits.delete(key);
+      return true;
+    }
+    this.hits.set(key, recent);
+    if (this.hits.size > 5000) this.prune(since);
+    return false;
+  }
+
+  prune(before = this.clock() - 60 * 1000) {
+    for (const [key, times] of this.hits) {
+      if (times[times.length - 1] <= before) this.hits.delete(key);
+    }
+  }
+}
+
+//First rule the message breaks under policy as { rule, reason }, or null
+//  const flood = new FloodDetector();
+//  checkMessage(policy, { sender: '2547...', text: 'see https://spam.example' }, flood)
+//  // { rule: 'antilink', reason: 'sent a link (spam.example)' }
+function checkMessage(policy, { sender, text = '', timestamp }, flood) {
+  if (policy.antilink) {
+    const blocked = findLinks(text).find((host) => !isAllowedDomain(host, policy.allowlist));
+    if (blocked) return { rule: 'antilink', reason: `sent a link (${blocked})` };
+  }
+  if (policy.antiflood && flood) {
+    const limits = { messages: policy.floodMessages, window: policy.floodWindow };
+    if (flood.hit(`${policy.session}|${policy.groupId}|${sender}`, limits, timestamp)) {
+      return { rule: 'antiflood', reason: `sent more than ${policy.floodMessages} messages in ${policy.floodWindow}s` };
+    }
+  }
+  return null;
+}
+
+//Fills {user}, {group}, {desc} and {count}, unknown placeholders are left as they are
+function renderTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => (values[name] != null ? String(values[name]) : match));
+}
+
+module.exports = {
+  DEFAULT_WELCOME,
+  DEFAULT_GOODBYE,
+  normalizeDomain,
+  findLinks,
+  isAllowedDomain,
+  FloodDetector,
+  checkMessage,
+  renderTemplate
+};
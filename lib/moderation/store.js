@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+
+//Per group moderation settings and the warnings handed out under them
+function defineModerationModels(sequelize) {
+  const GroupPolicy = sequelize.models.GroupPolicy || sequelize.define('GroupPolicy', {
+    session: { type: DataTypes.STRING, primaryKey: true },
+    groupId: { type: DataTypes.STRING, primaryKey: true },
+    antilink: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    //Domains that may be posted while antilink is on, subdomains included
+    allowlist: { type: DataTypes.JSON, allowNull: false, defaultValue: [] },
+    antiflood: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    //More than floodMessages within floodWindow seconds counts as flooding
+    floodMessages: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 6 },
+    floodWindow: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 10 },
+    //The warning that reaches warnLimit removes the member
+    warnLimit: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+    welcome: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    welcomeText: { type: DataTypes.TEXT, allowNull: true },
+    goodbye: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    goodbyeText: { type: DataTypes.TEXT, allowNull: true }
+  }, {
+    tableName: 'group_policies'
+  });
+
+  const GroupWarning = sequelize.models.GroupWarning || sequelize.define('GroupWarning', {
+    session: { type: DataTypes.STRING, primaryKey: true },
+    groupId: { type: DataTypes.STRING, primaryKey: true },
+    participant: { type: DataTypes.STRING, primaryKey: true },
+    count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+    //Free text typed by admins, TEXT because Postgres caps STRING at 255 characters
+    lastReason: { type: DataTypes.TEXT, allowNull: true }
+  }, {
+    tableName: 'group_warnings'
+  });
+
+  return { GroupPolicy, GroupWarning };
+}
+
+module.exports = { defineModerationModels };
@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { BufferJSON, initAuthCreds, proto } = require('@whiskeysockets/baileys');
+
+//One row per session and key, mirroring the files useMultiFileAuthState would write
+function defineAuthState(sequelize) {
+  return sequelize.models.AuthState || sequelize.define('AuthState', {
+    session: { type: DataTypes.STRING, allowNull: false, primaryKey: true },
+    key: { type: DataTypes.STRING, allowNull: false, primaryKey: true },
+    value: { type: DataTypes.TEXT, allowNull: false }
+  }, {
+    tableName: 'auth_state',
+    timestamps: false
+  });
+}
+
+//Ids of every session that has credentials stored
+async function listStoredSessions(AuthState) {
+  const rows = await AuthState.findAll({ attributes: ['session'], where: { key: 'creds' } });
+  return rows.map((row) => row.session);
+}
+
+//Database backed drop-in for Baileys' useMultiFileAuthState
+async function useDatabaseAuthState(AuthState, session) {
+  const read = async (key) => {
+    const row = await AuthState.findOne({ where: { session, key } });
+    return row ? JSON.parse(row.value, BufferJSON.reviver) : null;
+  };
+  const write = (key, data) => AuthState.upsert({ session, key, value: JSON.stringify(data, BufferJSON.replacer) });
+  const remove = (key) => AuthState.destroy({ where: { session, key } });
+
+  const creds = (await read('creds')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await read(`${type}-${id}`);
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const tasks = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              const key = `${category}-${id}`;
+              tasks.push(value ? write(key, value) : remove(key));
+            }
+          }
+          await Promise.all(tasks);
+        }
+      }
+    },
+    saveCreds: () => write('creds', creds),
+    clear: () => AuthState.destroy({ where: { session } })
+  };
+}
+
+module.exports = { defineAuthState, listStoredSessions, useDatabaseAuthState };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { SESSION_PREFIXES } = require('../config');
+
+//Fields Baileys cannot reconnect without
+const REQUIRED_CREDS = ['noiseKey', 'signedIdentityKey', 'signedPreKey', 'registrationId', 'advSecretKey'];
+
+class SessionCodecError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionCodecError';
+    this.code = code;
+  }
+}
+
+//Accepts both payload shapes in circulation: a bare creds.json, or { creds, keys }
+//The payload may be gzipped, sessions written by encodeSessionId always are
+function decodeSessionId(sessionId) {
+  const value = (sessionId || '').trim();
+  if (!value) throw new SessionCodecError('Session id is empty', 'EMPTY');
+
+  const prefix = SESSION_PREFIXES.find((p) => value.startsWith(p));
+  if (!prefix) {
+    throw new SessionCodecError(
+      `Session id must begin with ${SESSION_PREFIXES.map((p) => `'${p}'`).join(' or ')}`,
+      'UNKNOWN_PREFIX'
+    );
+  }
+
+  const encoded = value.slice(prefix.length).replace(/\s+/g, '');
+  if (!encoded) throw new SessionCodecError('Session id has no data after the prefix', 'TRUNCATED');
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(encoded)) {
+    throw new SessionCodecError('Session id contains characters that are not base64, it may have been mangled while copying', 'CORRUPT');
+  }
+  if (encoded.replace(/=+$/, '').length % 4 === 1) {
+    throw new SessionCodecError('Session id is truncated, copy the whole string again', 'TRUNCATED');
+  }
+
+  //Node's base64 decoder accepts the url-safe alphabet too
+  let raw = Buffer.from(encoded, 'base64');
+  if (raw[0] === 0x1f && raw[1] === 0x8b) {
+    try {
+      raw = zlib.gunzipSync(raw);
+    } catch (err) {
+      if (err.code === 'Z_BUF_ERROR') {
+        throw new SessionCodecError('Session id is truncated, copy the whole string again', 'TRUNCATED');
+      }
+      throw new SessionCodecError(`Session id is corrupt (${err.message})`, 'CORRUPT');
+    }
+  }
+
+  const text = raw.toString('utf8').trim();
+  let data;
+  try {
+    data = JSON.parse(text, BufferJSON.reviver);
+  } catch (err) {
+    //A cut off base64 string leaves a JSON object without its closing brace
+    if (text.startsWith('{') && !text.endsWith('}')) {
+      throw new SessionCodecError('Session id is truncated, copy the whole string again', 'TRUNCATED');
+    }
+    throw new SessionCodecError('Session id is corrupt, it does not contain valid session data', 'CORRUPT');
+  }
+
+  const session = data && data.creds ? { creds: data.creds, keys: data.keys || {} } : { creds: data, keys: {} };
+  validateCreds(session.creds);
+  return { prefix, ...session };
+}
+
+function encodeSessionId({ creds, keys = {} }, { prefix = SESSION_PREFIXES[0] } = {}) {
+  if (!SESSION_PREFIXES.includes(prefix)) {
+    throw new SessionCodecError(`Unknown session prefix '${prefix}'`, 'UNKNOWN_PREFIX');
+  }
+  validateCreds(creds);
+  const json = JSON.stringify({ creds, keys }, BufferJSON.replacer);
+  return prefix + zlib.gzipSync(json).toString('base64');
+}
+
+function validateCreds(creds) {
+  if (!creds || typeof creds !== 'object') {
+    throw new SessionCodecError('Session id does not contain credentials', 'INVALID_CREDS');
+  }
+  const missing = REQUIRED_CREDS.filter((field) => creds[field] == null);
+  if (missing.length) {
+    throw new SessionCodecError(`Session credentials are incomplete, missing ${missing.join(', ')}`, 'INVALID_CREDS');
+  }
+  //creds.me is also set by an abandoned pairing code request, creds.account only by a finished pairing
+  if (!creds.me || !creds.account) {
+    throw new SessionCodecError('Session was never paired with a WhatsApp account', 'INVALID_CREDS');
+  }
+}
+
+//Same file naming as Baileys' useMultiFileAuthState, so the folder can be used by either
+const toFileName = (key) => `${key.replace(/\//g, '__').replace(/:/g, '-')}.json`;
+const fromFileName = (file) => file.slice(0, -'.json'.length).replace(/__/g, '/');
+
+function writeSessionFolder({ creds, keys = {} }, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'creds.json'), JSON.stringify(creds, BufferJSON.replacer));
+  for (const [key, value] of Object.entries(keys)) {
+    fs.writeFileSync(path.join(dir, toFileName(key)), JSON.stringify(value, BufferJSON.replacer));
+  }
+}
+
+function readSessionFolder(dir) {
+  const credsFile = path.join(dir, 'creds.json');
+  if (!fs.existsSync(credsFile)) {
+    throw new SessionCodecError(`No creds.json found in ${dir}`, 'INVALID_CREDS');
+  }
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'), BufferJSON.reviver);
+
+  const keys = {};
+  for (const file of fs.readdirSync(dir)) {
+    if (file === 'creds.json' || !file.endsWith('.json')) continue;
+    keys[fromFileName(file)] = read(file);
+  }
+  return { creds: read('creds.json'), keys };
+}
+
+//Replaces whatever is stored for the session, rows use the same keys as the auth state store
+async function importSession(AuthState, session, { creds, keys = {} }) {
+  const rows = [['creds', creds], ...Object.entries(keys)].map(([key, value]) => ({
+    session,
+    key,
+    value: JSON.stringify(value, BufferJSON.replacer)
+  }));
+
+  await AuthState.sequelize.transaction(async (transaction) => {
+    await AuthState.destroy({ where: { session }, transaction });
+    await AuthState.bulkCreate(rows, { transaction });
+  });
+}
+
+async function exportSession(AuthState, session) {
+  const rows = await AuthState.findAll({ where: { session } });
+  const data = { creds: null, keys: {} };
+  for (const row of rows) {
+    const value = JSON.parse(row.value, BufferJSON.reviver);
+    if (row.key === 'creds') data.creds = value;
+    else data.keys[row.key] = value;
+  }
+  if (!data.creds) throw new SessionCodecError(`No stored credentials for session "${session}"`, 'NOT_FOUND');
+  return data;
+}
+
+module.exports = {
+  SessionCodecError,
+  decodeSessionId,
+  encodeSessionId,
+  writeSessionFolder,
+  readSessionFolder,
+  importSession,
+  exportSession
+};
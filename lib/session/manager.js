@@ -0,0 +1,272 @@
+const { EventEmitter } = require('events');
+const pino = require('pino');
+const {
+  default: makeWASocket,
+  Browsers,
+  DisconnectReason,
+  makeCacheableSignalKeyStore
+} = require('@whiskeysockets/baileys');
+const { defineAuthState, listStoredSessions, useDatabaseAuthState } = require('./auth-state');
+const { decodeSessionId, encodeSessionId, importSession, exportSession } = require('./codec');
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const SESSION_ID_PATTERN = /^[\w-]{1,32}$/;
+
+//Baileys only sets creds.account once pairing succeeds, by QR or by code. creds.registered is
+//never set after a QR scan, and creds.me is already saved when a pairing code is requested
+const isPaired = (session) => Boolean(session.auth?.state.creds.account);
+
+//Starts, stops and reconnects any number of WhatsApp sockets, each with its own auth state
+//Emits: 'socket' (id, sock) for every new socket, 'qr' (id, qr), 'open' (id, sock), 'close' (id, error),
+//'logout' (id) and 'pairing-failed' (id, error)
+class SessionManager extends EventEmitter {
+  constructor({
+    sequelize,
+    maxSessions = 1,
+    logger = pino({ level: 'silent' }),
+    makeSocket = makeWASocket,
+    authState = useDatabaseAuthState,
+    socketOptions = {},
+    backoff = {}
+  }) {
+    super();
+    this.AuthState = defineAuthState(sequelize);
+    this.maxSessions = maxSessions;
+    this.logger = logger;
+    this.makeSocket = makeSocket;
+    this.authState = authState;
+    this.socketOptions = socketOptions;
+    this.backoff = { initial: 2000, max: 5 * 60 * 1000, factor: 2, ...backoff };
+    this.sessions = new Map();
+  }
+
+  async init() {
+    await this.AuthState.sync();
+  }
+
+  //Starts every session that has credentials stored, up to the session limit
+  async restore() {
+    const ids = await listStoredSessions(this.AuthState);
+    for (const id of ids.slice(0, this.maxSessions)) {
+      if (!this.sessions.has(id)) await this.start(id);
+    }
+    if (ids.length > this.maxSessions) {
+      this.logger.warn(`${ids.length - this.maxSessions} stored session(s) not started, MAX_SESSIONS is ${this.maxSessions}`);
+    }
+  }
+
+  async start(id) {
+    if (!SESSION_ID_PATTERN.test(id)) {
+      throw new SessionError(`Invalid session id "${id}", use up to 32 letters, digits, _ or -`, 'INVALID_ID');
+    }
+    if (this.sessions.has(id)) throw new SessionError(`Session "${id}" is already running`, 'ALREADY_RUNNING');
+    if (this.sessions.size >= this.maxSessions) {
+      throw new SessionError(`Session limit reached (${this.maxSessions}), stop a session before starting another`, 'LIMIT_REACHED');
+    }
+
+    const session = {
+      id,
+      status: 'connecting',
+      socket: null,
+      user: null,
+      attempts: 0,
+      timer: null,
+      qr: null,
+      lastError: null,
+      logger: this.logger.child({ session: id })
+    };
+    this.sessions.set(id, session);
+
+    try {
+      await this._connect(session);
+    } catch (err) {
+      this.sessions.delete(id);
+      throw err;
+    }
+    return session.socket;
+  }
+
+  //Closes the socket, with logout the stored credentials are removed as well
+  async stop(id, { logout = false } = {}) {
+    const session = this.sessions.get(id);
+    if (!session) throw new SessionError(`Session "${id}" is not running`, 'NOT_RUNNING');
+
+    session.status = 'stopped';
+    clearTimeout(session.timer);
+    this.sessions.delete(id);
+
+    if (logout) {
+      await session.socket?.logout().catch((err) => session.logger.warn({ err }, 'Logout failed'));
+      await session.auth.clear();
+    } else {
+      session.socket?.end(undefined);
+    }
+  }
+
+  async stopAll() {
+    await Promise.all([...this.sessions.keys()].map((id) => this.stop(id)));
+  }
+
+  //Stores a XPLOADER-BOT:~ / CYPHER-X:~ session id, replacing any stored credentials for that session
+  async importSessionId(id, sessionId) {
+    if (this.sessions.has(id)) throw new SessionError(`Stop session "${id}" before importing over it`, 'ALREADY_RUNNING');
+    await importSession(this.AuthState, id, decodeSessionId(sessionId));
+  }
+
+  //Portable session id for the stored credentials, usable as SESSION_ID on another deployment
+  async exportSessionId(id, options) {
+    return encodeSessionId(await exportSession(this.AuthState, id), options);
+  }
+
+  async hasStoredSession(id) {
+    return (await listStoredSessions(this.AuthState)).includes(id);
+  }
+
+  //Latest QR string for a session that is waiting to be paired
+  getQr(id) {
+    return this.sessions.get(id)?.qr || null;
+  }
+
+  //Pairing codes can only be requested once the socket is waiting for a QR scan
+  async requestPairingCode(id, phoneNumber, { timeout = 30000 } = {}) {
+    const session = this.sessions.get(id);
+    if (!session) throw new SessionError(`Session "${id}" is not running`, 'NOT_RUNNING');
+    if (isPaired(session)) {
+      throw new SessionError(`Session "${id}" is already paired`, 'ALREADY_PAIRED');
+    }
+
+    if (!session.qr) {
+      await new Promise((resolve, reject) => {
+        const onQr = (qrId) => {
+          if (qrId !== id) return;
+          clearTimeout(timer);
+          this.off('qr', onQr);
+          resolve();
+        };
+        const timer = setTimeout(() => {
+          this.off('qr', onQr);
+          reject(new SessionError('Timed out waiting for WhatsApp, try again', 'TIMEOUT'));
+        }, timeout);
+        this.on('qr', onQr);
+      });
+    }
+    return session.socket.requestPairingCode(phoneNumber);
+  }
+
+  get(id) {
+    return this.sessions.get(id)?.socket || null;
+  }
+
+  list() {
+    return [...this.sessions.values()].map(({ id, status, user, attempts, lastError }) => ({
+      id,
+      status,
+      user,
+      attempts,
+      lastError: lastError ? lastError.message : null
+    }));
+  }
+
+  async _connect(session) {
+    session.auth = await this.authState(this.AuthState, session.id);
+    const { state, saveCreds } = session.auth;
+
+    const sock = this.makeSocket({
+      browser: Browsers.ubuntu('Chrome'),
+      printQRInTerminal: false,
+      markOnlineOnConnect: false,
+      ...this.socketOptions,
+      logger: session.logger,
+      auth: {
+        creds: state.creds,
+        keys: makeCacheableSignalKeyStore(state.keys, session.logger)
+      }
+    });
+    session.socket = sock;
+
+    sock.ev.on('creds.update', saveCreds);
+    sock.ev.on('connection.update', (update) => this._onConnectionUpdate(session, sock, update));
+    this.emit('socket', session.id, sock);
+  }
+
+  _onConnectionUpdate(session, sock, { connection, lastDisconnect, qr }) {
+    //Updates from a socket that was replaced or stopped are stale
+    if (session.socket !== sock || session.status === 'stopped') return;
+
+    if (qr) {
+      session.qr = qr;
+      this.emit('qr', session.id, qr);
+    }
+
+    if (connection === 'open') {
+      session.status = 'open';
+      session.attempts = 0;
+      session.lastError = null;
+      session.qr = null;
+      session.user = sock.user || null;
+      session.logger.info('Connected');
+      this.emit('open', session.id, sock);
+      return;
+    }
+
+    if (connection !== 'close') return;
+
+    const error = lastDisconnect?.error || null;
+    const statusCode = error?.output?.statusCode;
+    session.lastError = error;
+    this.emit('close', session.id, error);
+
+    if (statusCode === DisconnectReason.loggedOut) {
+      session.logger.warn('Logged out from WhatsApp, removing stored credentials');
+      this.sessions.delete(session.id);
+      session.status = 'stopped';
+      session.auth.clear()
+        .catch((err) => session.logger.error({ err }, 'Failed to remove credentials'))
+        .then(() => this.emit('logout', session.id));
+      return;
+    }
+
+    //Pairing attempts that expire are dropped rather than retried forever, with the credentials
+    //a pairing code request saved, so restore() does not bring them back
+    if (!isPaired(session) && statusCode !== DisconnectReason.restartRequired) {
+      session.logger.info('Pairing not completed, stopping session');
+      this.sessions.delete(session.id);
+      session.status = 'stopped';
+      session.auth.clear()
+        .catch((err) => session.logger.error({ err }, 'Failed to remove credentials'))
+        .then(() => this.emit('pairing-failed', session.id, error));
+      return;
+    }
+
+    //Restart required is expected right after pairing and needs no delay
+    const delay = statusCode === DisconnectReason.restartRequired ? 0 : this._delay(session.attempts);
+    session.attempts += 1;
+    session.status = 'reconnecting';
+    session.logger.info({ statusCode, delay }, 'Connection closed, reconnecting');
+
+    session.timer = setTimeout(() => {
+      if (session.status === 'stopped') return;
+      this._connect(session).catch((err) => {
+        session.lastError = err;
+        session.logger.error({ err }, 'Reconnect failed');
+        this._onConnectionUpdate(session, session.socket, { connection: 'close', lastDisconnect: { error: err } });
+      });
+    }, delay);
+  }
+
+  //Exponential backoff with jitter so sessions don't all reconnect at once
+  _delay(attempts) {
+    const { initial, max, factor } = this.backoff;
+    const base = Math.min(max, initial * factor ** attempts);
+    return Math.round(base / 2 + Math.random() * base / 2);
+  }
+}
+
+module.exports = { SessionManager, SessionError };
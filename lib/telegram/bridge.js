@@ -0,0 +1,338 @@
+const axios = require('axios');
+const NodeCache = require('node-cache');
+const { Telegraf } = require('telegraf');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { LoginLimiter, passwordMatches } = require('../web/auth');
+const { getText, getMediaType, getContextInfo, unwrap, jidToNumber, toJid } = require('../message');
+const { defineTelegramModels } = require('./store');
+
+//Telegram refuses to serve bot downloads above this size
+const MAX_DOWNLOAD = 20 * 1024 * 1024;
+
+const HELP = [
+  '/link <BOT_PASSWORD> - link this chat to the bot',
+  '/admin <ADMIN_PASSWORD> - unlock admin commands',
+  '/unlink - forget this chat',
+  '/sessions - list WhatsApp sessions',
+  '/forwards - list mirrored WhatsApp chats',
+  '/forward <session> <number or jid> - mirror a WhatsApp chat here (admin)',
+  '/unforward <session> <number or jid> - stop mirroring a chat (admin)'
+].join('\n');
+
+//Telegram front end for the bot: password gated linking, bot commands for the owner,
+//and two way mirroring of selected WhatsApp chats (text, media and replies)
+class TelegramBridge {
+  constructor({
+    token,
+    settings,
+    sessions,
+    sequelize,
+    logger,
+    //Point apiRoot at a local fake of the Bot API, or pass a ready made Telegraf instance
+    apiRoot,
+    bot = new Telegraf(token, { telegram: apiRoot ? { apiRoot } : {} }),
+    commandHandler = null,
+    limiter = new LoginLimiter({ attempts: 5, window: 15 * 60 * 1000 })
+  }) {
+    this.bot = bot;
+    this.settings = settings;
+    this.sessions = sessions;
+    this.logger = logger.child({ module: 'telegram' });
+    this.commandHandler = commandHandler;
+    this.limiter = limiter;
+    this.models = defineTelegramModels(sequelize);
+
+    this.links = new Map();
+    this.forwards = [];
+    //Pairs Telegram and WhatsApp message ids so replies can be carried across
+    this.messages = new NodeCache({ stdTTL: 24 * 60 * 60, maxKeys: 10000, useClones: false });
+    //Ids of WhatsApp messages the bridge sent itself, so they are not mirrored back
+    this.sent = new NodeCache({ stdTTL: 10 * 60, useClones: false });
+
+    this._onSocket = (id, sock) => this._attach(id, sock);
+  }
+
+  //Run owner commands from Telegram, see setCommandHandler
+  setCommandHandler(handler) {
+    this.commandHandler = handler;
+  }
+
+  async start() {
+    const { TelegramLink, TelegramForward } = this.models;
+    await TelegramLink.sync();
+    await TelegramForward.sync();
+
+    for (const link of await TelegramLink.findAll()) this.links.set(link.chatId, link.role);
+    this.forwards = (await TelegramForward.findAll()).map((f) => f.get({ plain: true }));
+
+    this._registerHandlers();
+    this.sessions.on('socket', this._onSocket);
+    for (const { id } of this.sessions.list()) {
+      const sock = this.sessions.get(id);
+      if (sock) this._attach(id, sock);
+    }
+
+    //launch() only settles once polling stops
+    this.bot.launch({ dropPendingUpdates: true }, () => this.logger.info('Telegram bridge started'))
+      .catch((err) => this.logger.error({ err }, 'Telegram bridge stopped'));
+  }
+
+  stop() {
+    this.sessions.off('socket', this._onSocket);
+    try {
+      this.bot.stop();
+    } catch (err) {
+      //Not running
+    }
+  }
+
+  roleOf(chatId) {
+    return this.links.get(String(chatId)) || null;
+  }
+
+  _registerHandlers() {
+    const bot = this.bot;
+
+    bot.catch((err, ctx) => {
+      this.logger.error({ err, update: ctx.updateType }, 'Telegram handler failed');
+      ctx.reply('Something went wrong, the error has been logged.').catch(() => {});
+    });
+
+    bot.start((ctx) => ctx.reply(this.roleOf(ctx.chat.id)
+      ? `This chat is linked.\n\n${HELP}`
+      : `Send /link followed by the bot password to link this chat.\n\n${HELP}`));
+
+    bot.help((ctx) => ctx.reply(HELP));
+
+    bot.command('link', (ctx) => this._login(ctx, 'connect'));
+    bot.command('admin', (ctx) => this._login(ctx, 'admin'));
+
+    bot.command('unlink', this._requireRole('connect', async (ctx) => {
+      const chatId = String(ctx.chat.id);
+      await this.models.TelegramLink.destroy({ where: { chatId } });
+      await this.models.TelegramForward.destroy({ where: { chatId } });
+      this.links.delete(chatId);
+      this.forwards = this.forwards.filter((f) => f.chatId !== chatId);
+      await ctx.reply('Unlinked, forwarding from this chat has stopped.');
+    }));
+
+    bot.command('sessions', this._requireRole('connect', (ctx) => {
+      const list = this.sessions.list();
+      if (!list.length) return ctx.reply('No WhatsApp sessions are running.');
+      return ctx.reply(list.map((s) => `${s.id}: ${s.status}${s.user ? ` (+${jidToNumber(s.user.id)})` : ''}`).join('\n'));
+    }));
+
+    bot.command('forwards', this._requireRole('connect', (ctx) => {
+      const list = this.forwards.filter((f) => f.chatId === String(ctx.chat.id));
+      if (!list.length) return ctx.reply('No WhatsApp chats are mirrored here.');
+      return ctx.reply(list.map((f) => `${f.session}: ${f.jid}`).join('\n'));
+    }));
+
+    bot.command('forward', this._requireRole('admin', async (ctx) => {
+      const [session, target] = ctx.payload.trim().split(/\s+/);
+      if (!session || !target) return ctx.reply('Usage: /forward <session> <number or jid>');
+      if (!this.sessions.get(session)) return ctx.reply(`Session "${session}" is not running.`);
+
+      const rule = { chatId: String(ctx.chat.id), session, jid: toJid(target) };
+      await this.models.TelegramForward.findOrCreate({ where: rule });
+      if (!this.forwards.some((f) => sameRule(f, rule))) this.forwards.push(rule);
+      await ctx.reply(`Mirroring ${rule.jid} from session ${session} in this chat.`);
+    }));
+
+    bot.command('unforward', this._requireRole('admin', async (ctx) => {
+      const [session, target] = ctx.payload.trim().split(/\s+/);
+      if (!session || !target) return ctx.reply('Usage: /unforward <session> <number or jid>');
+
+      const rule = { chatId: String(ctx.chat.id), session, jid: toJid(target) };
+      const removed = await this.models.TelegramForward.destroy({ where: rule });
+      this.forwards = this.forwards.filter((f) => !sameRule(f, rule));
+      await ctx.reply(removed ? `Stopped mirroring ${rule.jid}.` : `${rule.jid} was not mirrored here.`);
+    }));
+
+    bot.on('message', async (ctx) => {
+      const role = this.roleOf(ctx.chat.id);
+      if (!role) return;
+
+      const text = ctx.message.text || '';
+      if (role === 'admin' && text && this.commandHandler) {
+        const handled = await this.commandHandler({
+          text,
+          chatId: ctx.chat.id,
+          reply: (message) => ctx.reply(message)
+        });
+        if (handled) return;
+      }
+      //Unknown bot commands are not chat messages
+      if (text.startsWith('/')) return;
+
+      await this._toWhatsApp(ctx);
+    });
+  }
+
+  async _login(ctx, role) {
+    if (ctx.chat.type !== 'private') {
+      return ctx.reply('Send passwords to the bot in a private chat only.');
+    }
+    //Keep the password out of the chat history
+    await ctx.deleteMessage().catch(() => {});
+
+    const key = `${ctx.from.id}:${role}`;
+    const wait = this.limiter.retryAfter(key);
+    if (wait) return ctx.reply(`Too many attempts, try again in ${Math.ceil(wait / 60000)} minute(s).`);
+
+    const password = role === 'admin' ? this.settings.ADMIN_PASSWORD : this.settings.BOT_PASSWORD;
+    if (!passwordMatches(ctx.payload.trim(), password)) {
+      this.limiter.fail(key);
+      this.logger.warn({ user: ctx.from.id, role }, 'Failed Telegram login');
+      return ctx.reply('Wrong password.');
+    }
+    this.limiter.reset(key);
+
+    const chatId = String(ctx.chat.id);
+    //Never downgrade an admin chat by linking it again
+    const granted = this.roleOf(chatId) === 'admin' ? 'admin' : role;
+    await this.models.TelegramLink.upsert({ chatId, role: granted });
+    this.links.set(chatId, granted);
+    return ctx.reply(granted === 'admin' ? 'Admin commands unlocked for this chat.' : `Chat linked.\n\n${HELP}`);
+  }
+
+  _requireRole(role, handler) {
+    return (ctx) => {
+      const current = this.roleOf(ctx.chat.id);
+      if (!current) return ctx.reply('Link this chat first with /link <BOT_PASSWORD>.');
+      if (role === 'admin' && current !== 'admin') return ctx.reply('This needs /admin <ADMIN_PASSWORD> first.');
+      return handler(ctx);
+    };
+  }
+
+  _attach(session, sock) {
+    sock.ev.on('messages.upsert', ({ messages, type }) => {
+      for (const msg of messages) {
+        //Own messages typed on the phone arrive as 'notify' too, 'append' with fromMe is the bot's
+        //own command replies, moderation notices and vault reports echoed back, see lib/commands/router.js
+        if (type !== 'notify') continue;
+        this._toTelegram(session, sock, msg).catch((err) => {
+          this.logger.error({ err, session }, 'Failed to mirror WhatsApp message to Telegram');
+        });
+      }
+    });
+  }
+
+  async _toTelegram(session, sock, msg) {
+    const jid = msg.key.remoteJid;
+    if (!msg.message || this.sent.has(msg.key.id)) return;
+    const rules = this.forwards.filter((f) => f.session === session && f.jid === jid);
+    if (!rules.length) return;
+
+    const [, content] = unwrap(msg.message);
+    const mediaType = getMediaType(msg.message);
+    const text = getText(msg.message);
+    if (!mediaType && !text) return;
+
+    const sender = msg.key.fromMe ? 'You' : msg.pushName || `+${jidToNumber(msg.key.participant || jid)}`;
+    const caption = `${sender} · ${jidToNumber(jid)}${text ? `\n${text}` : ''}`;
+    const media = mediaType && await downloadMediaMessage(msg, 'buffer', {}, {
+      logger: this.logger,
+      reuploadRequest: sock.updateMediaMessage
+    });
+    const quotedId = getContextInfo(msg.message)?.stanzaId;
+
+    for (const { chatId } of rules) {
+      const replyTo = quotedId && this.messages.get(`wa:${session}:${jid}:${quotedId}`);
+      const extra = replyTo ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } } : {};
+      const sent = await this._send(chatId, mediaType, media, content, caption, extra);
+      this.messages.set(`wa:${session}:${jid}:${msg.key.id}`, sent.message_id);
+      this.messages.set(`tg:${chatId}:${sent.message_id}`, { session, jid, key: msg.key, message: msg.message });
+    }
+  }
+
+  _send(chatId, mediaType, media, content, caption, extra) {
+    const telegram = this.bot.telegram;
+    switch (mediaType) {
+      case 'image':
+        return telegram.sendPhoto(chatId, { source: media }, { caption, ...extra });
+      case 'video':
+        return telegram.sendVideo(chatId, { source: media }, { caption, ...extra });
+      case 'audio':
+        return content.ptt
+          ? telegram.sendVoice(chatId, { source: media }, { caption, ...extra })
+          : telegram.sendAudio(chatId, { source: media }, { caption, ...extra });
+      case 'document':
+        return telegram.sendDocument(chatId, { source: media, filename: content.fileName || 'file' }, { caption, ...extra });
+      case 'sticker':
+        //Stickers can't carry a caption, the sender goes in a reply to it
+        return telegram.sendSticker(chatId, { source: media }, extra).then(async (sent) => {
+          await telegram.sendMessage(chatId, caption, { reply_parameters: { message_id: sent.message_id } });
+          return sent;
+        });
+      default:
+        return telegram.sendMessage(chatId, caption, extra);
+    }
+  }
+
+  async _toWhatsApp(ctx) {
+    const chatId = String(ctx.chat.id);
+    const message = ctx.message;
+    const replyTo = message.reply_to_message && this.messages.get(`tg:${chatId}:${message.reply_to_message.message_id}`);
+
+    let target = replyTo;
+    if (!target) {
+      const rules = this.forwards.filter((f) => f.chatId === chatId);
+      if (!rules.length) return;
+      if (rules.length > 1) return ctx.reply('Several WhatsApp chats are mirrored here, reply to one of their messages to choose.');
+      target = rules[0];
+    }
+
+    const sock = this.sessions.get(target.session);
+    if (!sock) return ctx.reply(`Session "${target.session}" is not running.`);
+
+    const content = await this._toWhatsAppContent(ctx);
+    if (!content) return ctx.reply('This kind of message can not be sent to WhatsApp.');
+
+    const sent = await sock.sendMessage(target.jid, content, replyTo ? { quoted: { key: replyTo.key, message: replyTo.message } } : {});
+    this.sent.set(sent.key.id, true);
+    this.messages.set(`tg:${chatId}:${message.message_id}`, { session: target.session, jid: target.jid, key: sent.key, message: sent.message });
+    this.messages.set(`wa:${target.session}:${target.jid}:${sent.key.id}`, message.message_id);
+  }
+
+  async _toWhatsAppContent(ctx) {
+    const message = ctx.message;
+    const caption = message.caption || undefined;
+
+    if (message.text) return { text: message.text };
+    if (message.photo) {
+      return { image: await this._download(message.photo[message.photo.length - 1]), caption };
+    }
+    if (message.video) return { video: await this._download(message.video), caption };
+    if (message.voice) {
+      return { audio: await this._download(message.voice), ptt: true, mimetype: 'audio/ogg; codecs=opus' };
+    }
+    if (message.audio) {
+      return { audio: await this._download(message.audio), mimetype: message.audio.mime_type || 'audio/mpeg' };
+    }
+    if (message.document) {
+      return {
+        document: await this._download(message.document),
+        fileName: message.document.file_name || 'file',
+        mimetype: message.document.mime_type || 'application/octet-stream',
+        caption
+      };
+    }
+    //Animated (.tgs) and video stickers have no WhatsApp equivalent
+    if (message.sticker && !message.sticker.is_animated && !message.sticker.is_video) {
+      return { sticker: await this._download(message.sticker) };
+    }
+    return null;
+  }
+
+  async _download(file) {
+    if (file.file_size > MAX_DOWNLOAD) throw new Error('File is larger than the 20 MB Telegram allows bots to download');
+    const link = await this.bot.telegram.getFileLink(file.file_id);
+    const { data } = await axios.get(link.href, { responseType: 'arraybuffer', maxContentLength: MAX_DOWNLOAD });
+    return Buffer.from(data);
+  }
+}
+
+const sameRule = (a, b) => a.chatId === b.chatId && a.session === b.session && a.jid === b.jid;
+
+module.exports = { TelegramBridge };
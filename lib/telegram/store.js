@@ -0,0 +1,25 @@
+const { DataTypes } = require('sequelize');
+
+//Telegram chats that passed the password check, and which WhatsApp chats they mirror
+function defineTelegramModels(sequelize) {
+  const TelegramLink = sequelize.models.TelegramLink || sequelize.define('TelegramLink', {
+    chatId: { type: DataTypes.STRING, primaryKey: true },
+    //'connect' after BOT_PASSWORD, 'admin' after ADMIN_PASSWORD
+    role: { type: DataTypes.STRING, allowNull: false }
+  }, {
+    tableName: 'telegram_links'
+  });
+
+  const TelegramForward = sequelize.models.TelegramForward || sequelize.define('TelegramForward', {
+    chatId: { type: DataTypes.STRING, allowNull: false },
+    session: { type: DataTypes.STRING, allowNull: false },
+    jid: { type: DataTypes.STRING, allowNull: false }
+  }, {
+    tableName: 'telegram_forwards',
+    indexes: [{ unique: true, fields: ['chatId', 'session', 'jid'] }]
+  });
+
+  return { TelegramLink, TelegramForward };
+}
+
+module.exports = { defineTelegramModels };
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'database', 'vault.db');
+
+//Both stores expose the same async interface, rows come back as
+//{ session, chatId, messageId, sender, pushName, timestamp, text, mediaType, meta, media, size }
+
+const toRow = (row) => row && {
+  session: row.session,
+  chatId: row.chat_id,
+  messageId: row.message_id,
+  sender: row.sender,
+  pushName: row.push_name,
+  timestamp: Number(row.timestamp),
+  text: row.text,
+  mediaType: row.media_type,
+  meta: row.meta ? JSON.parse(row.meta) : {},
+  media: row.media ? Buffer.from(row.media) : null,
+  size: Number(row.size)
+};
+
+const toParams = (entry) => [
+  entry.session,
+  entry.chatId,
+  entry.messageId,
+  entry.sender || null,
+  entry.pushName || null,
+  entry.timestamp,
+  entry.text || null,
+  entry.mediaType || null,
+  JSON.stringify(entry.meta || {}),
+  entry.media || null,
+  entry.size
+];
+
+//Local file, used unless the heroku-postgresql addon is present
+class SqliteVaultStore {
+  constructor({ file = DEFAULT_FILE } = {}) {
+    this.file = file;
+  }
+
+  async init() {
+    const Database = require('better-sqlite3');
+    if (this.file !== ':memory:') fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vault_messages (
+        session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        sender TEXT,
+        push_name TEXT,
+        timestamp INTEGER NOT NULL,
+        text TEXT,
+        media_type TEXT,
+        meta TEXT,
+        media BLOB,
+        size INTEGER NOT NULL,
+        PRIMARY KEY (session, chat_id, message_id)
+      );
+      CREATE INDEX IF NOT EXISTS vault_messages_timestamp ON vault_messages (timestamp);
+      CREATE TABLE IF NOT EXISTS vault_chats (
+        session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        enabled INTEGER NOT NULL,
+        PRIMARY KEY (session, chat_id)
+      );
+    `);
+
+    this.statements = {
+      put: this.db.prepare('INSERT OR REPLACE INTO vault_messages VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+      get: this.db.prepare('SELECT * FROM vault_messages WHERE session = ? AND chat_id = ? AND message_id = ?'),
+      setText: this.db.prepare('UPDATE vault_messages SET text = ? WHERE session = ? AND chat_id = ? AND message_id = ?'),
+      remove: this.db.prepare('DELETE FROM vault_messages WHERE session = ? AND chat_id = ? AND message_id = ?'),
+      pruneAge: this.db.prepare('DELETE FROM vault_messages WHERE timestamp < ?'),
+      pruneOldest: this.db.prepare(`DELETE FROM vault_messages WHERE rowid IN
+        (SELECT rowid FROM vault_messages ORDER BY timestamp ASC LIMIT ?)`),
+      totalSize: this.db.prepare('SELECT COALESCE(SUM(size), 0) AS total FROM vault_messages'),
+      setChat: this.db.prepare('INSERT OR REPLACE INTO vault_chats VALUES (?, ?, ?)'),
+      chats: this.db.prepare('SELECT * FROM vault_chats')
+    };
+  }
+
+  async put(entry) {
+    this.statements.put.run(...toParams(entry));
+  }
+
+  async get(session, chatId, messageId) {
+    return toRow(this.statements.get.get(session, chatId, messageId));
+  }
+
+  async setText(session, chatId, messageId, text) {
+    this.statements.setText.run(text, session, chatId, messageId);
+  }
+
+  async remove(session, chatId, messageId) {
+    this.statements.remove.run(session, chatId, messageId);
+  }
+
+  async pruneOlderThan(timestamp) {
+    return this.statements.pruneAge.run(timestamp).changes;
+  }
+
+  async pruneOldest(count) {
+    return this.statements.pruneOldest.run(count).changes;
+  }
+
+  async totalSize() {
+    return this.statements.totalSize.get().total;
+  }
+
+  async setChat(session, chatId, enabled) {
+    this.statements.setChat.run(session, chatId, enabled ? 1 : 0);
+  }
+
+  async chats() {
+    return this.statements.chats.all().map((row) => ({ session: row.session, chatId: row.chat_id, enabled: Boolean(row.enabled) }));
+  }
+
+  async close() {
+    this.db?.close();
+  }
+}
+
+class PostgresVaultStore {
+  constructor({ url }) {
+    this.url = url;
+  }
+
+  async init() {
+    const { Pool } = require('pg');
+    this.pool = new Pool({
+      connectionString: this.url,
+      //Same rule as lib/database.js, Heroku Postgres needs SSL with a self-signed certificate
+      ssl: /localhost|127\.0\.0\.1/.test(this.url) ? false : { rejectUnauthorized: false },
+      max: 3
+    });
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS vault_messages (
+        session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        sender TEXT,
+        push_name TEXT,
+        timestamp BIGINT NOT NULL,
+        text TEXT,
+        media_type TEXT,
+        meta TEXT,
+        media BYTEA,
+        size INTEGER NOT NULL,
+        PRIMARY KEY (session, chat_id, message_id)
+      );
+      CREATE INDEX IF NOT EXISTS vault_messages_timestamp ON vault_messages (timestamp);
+      CREATE TABLE IF NOT EXISTS vault_chats (
+        session TEXT NOT NULL,
+        chat_id TEXT NOT NULL,
+        enabled BOOLEAN NOT NULL,
+        PRIMARY KEY (session, chat_id)
+      );
+    `);
+  }
+
+  async put(entry) {
+    await this.pool.query(`
+      INSERT INTO vault_messages VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (session, chat_id, message_id) DO UPDATE SET
+        sender = EXCLUDED.sender, push_name = EXCLUDED.push_name, timestamp = EXCLUDED.timestamp,
+        text = EXCLUDED.text, media_type = EXCLUDED.media_type, meta = EXCLUDED.meta,
+        media = EXCLUDED.media, size = EXCLUDED.size
+    `, toParams(entry));
+  }
+
+  async get(session, chatId, messageId) {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM vault_messages WHERE session = $1 AND chat_id = $2 AND message_id = $3',
+      [session, chatId, messageId]
+    );
+    return toRow(rows[0]);
+  }
+
+  async setText(session, chatId, messageId, text) {
+    await this.pool.query(
+      'UPDATE vault_messages SET text = $1 WHERE session = $2 AND chat_id = $3 AND message_id = $4',
+      [text, session, chatId, messageId]
+    );
+  }
+
+  async remove(session, chatId, messageId) {
+    await this.pool.query(
+      'DELETE FROM vault_messages WHERE session = $1 AND chat_id = $2 AND message_id = $3',
+      [session, chatId, messageId]
+    );
+  }
+
+  async pruneOlderThan(timestamp) {
+    return (await this.pool.query('DELETE FROM vault_messages WHERE timestamp < $1', [timestamp])).rowCount;
+  }
+
+  async pruneOldest(count) {
+    const result = await this.pool.query(`DELETE FROM vault_messages WHERE ctid IN
+      (SELECT ctid FROM vault_messages ORDER BY timestamp ASC LIMIT $1)`, [count]);
+    return result.rowCount;
+  }
+
+  async totalSize() {
+    const { rows } = await this.pool.query('SELECT COALESCE(SUM(size), 0) AS total FROM vault_messages');
+    return Number(rows[0].total);
+  }
+
+  async setChat(session, chatId, enabled) {
+    await this.pool.query(`
+      INSERT INTO vault_chats VALUES ($1, $2, $3)
+      ON CONFLICT (session, chat_id) DO UPDATE SET enabled = EXCLUDED.enabled
+    `, [session, chatId, enabled]);
+  }
+
+  async chats() {
+    const { rows } = await this.pool.query('SELECT * FROM vault_chats');
+    return rows.map((row) => ({ session: row.session, chatId: row.chat_id, enabled: row.enabled }));
+  }
+
+  async close() {
+    await this.pool?.end();
+  }
+}
+
+//Postgres when the heroku-postgresql addon (DATABASE_URL) is present, better-sqlite3 otherwise
+function createVaultStore({ url = '', file } = {}) {
+  return url ? new PostgresVaultStore({ url }) : new SqliteVaultStore({ file });
+}
+
+module.exports = { SqliteVaultStore, PostgresVaultStore, createVaultStore, DEFAULT_FILE };
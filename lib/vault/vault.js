@@ -0,0 +1,262 @@
+const path = require('path');
+const NodeCache = require('node-cache');
+const checkDiskSpace = require('check-disk-space').default;
+const { downloadMediaMessage, proto, toNumber } = require('@whiskeysockets/baileys');
+const { unwrap, getText, getMediaType, jidToNumber, isGroupJid } = require('../message');
+
+const MB = 1024 * 1024;
+//Larger media is never downloaded, one video should not evict the whole vault
+const MAX_MEDIA = 8 * MB;
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+const DISK_CHECK_INTERVAL = 60 * 1000;
+
+const { REVOKE, MESSAGE_EDIT } = proto.Message.ProtocolMessage.Type;
+
+//Anti-delete / anti-edit: keeps recent messages so revoked or edited ones can be reported,
+//bounded by age, total size and free disk space
+class MessageVault {
+  constructor({
+    store,
+    sessions,
+    settings,
+    logger,
+    checkDisk = checkDiskSpace,
+    //Free space only matters when the vault lives on the local disk
+    diskPath = store.file && store.file !== ':memory:' ? path.dirname(store.file) : null
+  }) {
+    this.store = store;
+    this.sessions = sessions;
+    this.settings = settings;
+    this.logger = logger.child({ module: 'vault' });
+    this.checkDisk = checkDisk;
+    this.diskPath = diskPath;
+
+    this.maxAge = settings.ANTI_DELETE_MAX_AGE * 60 * 60 * 1000;
+    this.maxSize = settings.ANTI_DELETE_MAX_SIZE * MB;
+    this.minFree = settings.ANTI_DELETE_MIN_FREE * MB;
+
+    this.chats = new Map();
+    this.total = 0;
+    this.diskOk = true;
+    this.lastDiskCheck = 0;
+    this.pruning = null;
+    //Revokes and edits can arrive both as a protocol message and as an update
+    this.reported = new NodeCache({ stdTTL: 10 * 60, useClones: false });
+
+    this._onSocket = (id, sock) => this._attach(id, sock);
+  }
+
+  async start() {
+    await this.store.init();
+    for (const { session, chatId, enabled } of await this.store.chats()) {
+      this.chats.set(`${session}|${chatId}`, enabled);
+    }
+    this.total = await this.store.totalSize();
+    await this._checkDisk();
+    await this.prune();
+
+    this.sessions.on('socket', this._onSocket);
+    for (const { id } of this.sessions.list()) {
+      const sock = this.sessions.get(id);
+      if (sock) this._attach(id, sock);
+    }
+
+    this.timer = setInterval(() => {
+      this.prune().catch((err) => this.logger.error({ err }, 'Prune failed'));
+    }, PRUNE_INTERVAL);
+    this.timer.unref();
+  }
+
+  async stop() {
+    this.sessions.off('socket', this._onSocket);
+    clearInterval(this.timer);
+    await this.pruning;
+    await this.store.close();
+  }
+
+  isWatched(session, chatId) {
+    const override = this.chats.get(`${session}|${chatId}`);
+    if (override !== undefined) return override;
+    return this.settings.ANTI_DELETE_CHATS === 'all';
+  }
+
+  //Per chat opt-in / opt-out, overrides ANTI_DELETE_CHATS
+  async setChat(session, chatId, enabled) {
+    await this.store.setChat(session, chatId, enabled);
+    this.chats.set(`${session}|${chatId}`, enabled);
+  }
+
+  //Drops expired messages, then the oldest ones until the vault is back under 90% of its size limit
+  prune() {
+    if (this.pruning) return this.pruning;
+    this.pruning = (async () => {
+      const expired = await this.store.pruneOlderThan(Date.now() - this.maxAge);
+      this.total = await this.store.totalSize();
+
+      let evicted = 0;
+      while (this.total > this.maxSize * 0.9) {
+        const removed = await this.store.pruneOldest(100);
+        if (!removed) break;
+        evicted += removed;
+        this.total = await this.store.totalSize();
+      }
+      if (expired || evicted) this.logger.debug({ expired, evicted, total: this.total }, 'Vault pruned');
+      await this._checkDisk();
+    })().finally(() => {
+      this.pruning = null;
+    });
+    return this.pruning;
+  }
+
+  async _checkDisk() {
+    if (!this.diskPath) return;
+    this.lastDiskCheck = Date.now();
+    try {
+      const { free } = await this.checkDisk(this.diskPath);
+      const ok = free >= this.minFree;
+      if (ok !== this.diskOk) {
+        this.logger.warn(ok
+          ? 'Disk space recovered, antidelete stores messages again'
+          : `Less than ${this.settings.ANTI_DELETE_MIN_FREE} MB of disk space free, antidelete stops storing messages`);
+      }
+      this.diskOk = ok;
+    } catch (err) {
+      this.logger.warn({ err }, 'Could not check free disk space');
+    }
+  }
+
+  _attach(session, sock) {
+    const run = (promise) => promise.catch((err) => this.logger.error({ err, session }, 'Vault failed to handle a message'));
+
+    sock.ev.on('messages.upsert', ({ messages }) => {
+      for (const msg of messages) {
+        const protocol = msg.message?.protocolMessage;
+        if (protocol?.type === REVOKE) {
+          run(this._onRevoke(session, sock, { ...protocol.key, remoteJid: protocol.key.remoteJid || msg.key.remoteJid }, msg.key));
+        } else if (protocol?.type === MESSAGE_EDIT) {
+          run(this._onEdit(session, sock, { ...protocol.key, remoteJid: protocol.key.remoteJid || msg.key.remoteJid }, protocol.editedMessage));
+        } else {
+          run(this._store(session, sock, msg));
+        }
+      }
+    });
+
+    sock.ev.on('messages.update', (updates) => {
+      for (const { key, update } of updates) {
+        if (update.message === null && update.messageStubType === proto.WebMessageInfo.StubType.REVOKE) {
+          run(this._onRevoke(session, sock, key, null));
+        } else if (update.message?.editedMessage?.message) {
+          run(this._onEdit(session, sock, key, update.message.editedMessage.message));
+        }
+      }
+    });
+  }
+
+  async _store(session, sock, msg) {
+    const chatId = msg.key.remoteJid;
+    //Own messages are never reported, so they are not worth the space
+    if (!msg.message || msg.key.fromMe || chatId === 'status@broadcast') return;
+    if (!this.isWatched(session, chatId)) return;
+
+    const text = getText(msg.message);
+    const mediaType = getMediaType(msg.message);
+    if (!text && !mediaType) return;
+
+    if (Date.now() - this.lastDiskCheck > DISK_CHECK_INTERVAL) await this._checkDisk();
+    //Text rows fill a disk too, nothing is stored until space is freed
+    if (!this.diskOk) return;
+
+    const [, content] = unwrap(msg.message);
+    let media = null;
+    if (mediaType && Number(content.fileLength || 0) <= MAX_MEDIA) {
+      media = await downloadMediaMessage(msg, 'buffer', {}, {
+        logger: this.logger,
+        reuploadRequest: sock.updateMediaMessage
+      }).catch((err) => {
+        this.logger.warn({ err }, 'Could not download media for the vault');
+        return null;
+      });
+    }
+
+    const size = Buffer.byteLength(text) + (media ? media.length : 0) + 256;
+    await this.store.put({
+      session,
+      chatId,
+      messageId: msg.key.id,
+      sender: msg.key.participant || chatId,
+      pushName: msg.pushName,
+      timestamp: toNumber(msg.messageTimestamp || 0) * 1000 || Date.now(),
+      text,
+      mediaType,
+      meta: mediaType ? { mimetype: content.mimetype, fileName: content.fileName, ptt: content.ptt } : {},
+      media,
+      size
+    });
+
+    this.total += size;
+    if (this.total > this.maxSize) await this.prune();
+  }
+
+  async _onRevoke(session, sock, key, revokedBy) {
+    //Marked before any await, both copies of a revoke are handled concurrently
+    if (key.fromMe || this.reported.has(`revoke:${key.id}`)) return;
+    this.reported.set(`revoke:${key.id}`, true);
+    const entry = await this.store.get(session, key.remoteJid, key.id);
+    if (!entry) return;
+
+    const deleter = revokedBy?.participant && revokedBy.participant !== entry.sender
+      ? `\nDeleted by: +${jidToNumber(revokedBy.participant)}`
+      : '';
+    const header = `🗑️ *Deleted message*\n${await this._describe(sock, entry)}${deleter}`;
+    await this._report(sock, entry, `${header}${entry.text ? `\n\n${entry.text}` : ''}`);
+    await this.store.remove(session, key.remoteJid, key.id);
+  }
+
+  async _onEdit(session, sock, key, editedMessage) {
+    const text = getText(editedMessage);
+    if (key.fromMe || !text || this.reported.has(`edit:${key.id}:${text}`)) return;
+    this.reported.set(`edit:${key.id}:${text}`, true);
+    const entry = await this.store.get(session, key.remoteJid, key.id);
+    if (!entry || text === entry.text) return;
+
+    const header = `✏️ *Edited message*\n${await this._describe(sock, entry)}`;
+    await this._report(sock, { ...entry, media: null }, `${header}\n\n*Before:* ${entry.text || ''}\n*After:* ${text}`);
+    await this.store.setText(session, key.remoteJid, key.id, text);
+  }
+
+  async _describe(sock, entry) {
+    let chat = `+${jidToNumber(entry.chatId)}`;
+    if (isGroupJid(entry.chatId)) {
+      chat = await sock.groupMetadata(entry.chatId).then((meta) => meta.subject).catch(() => entry.chatId);
+    }
+    const from = `${entry.pushName ? `${entry.pushName} ` : ''}(+${jidToNumber(entry.sender)})`;
+    return `Chat: ${chat}\nFrom: ${from}\nSent: ${new Date(entry.timestamp).toUTCString()}`;
+  }
+
+  async _report(sock, entry, text) {
+    const target = this.settings.ANTI_DELETE_REPORT === 'chat'
+      ? entry.chatId
+      : `${this.settings.BOT_ADMIN}@s.whatsapp.net`;
+
+    if (!entry.media) return sock.sendMessage(target, { text });
+
+    const { mimetype, fileName, ptt } = entry.meta;
+    switch (entry.mediaType) {
+      case 'image':
+        return sock.sendMessage(target, { image: entry.media, caption: text });
+      case 'video':
+        return sock.sendMessage(target, { video: entry.media, caption: text });
+      case 'document':
+        return sock.sendMessage(target, { document: entry.media, mimetype, fileName: fileName || 'file', caption: text });
+      default: {
+        //Stickers and audio can't carry a caption
+        const sent = await sock.sendMessage(target, entry.mediaType === 'sticker'
+          ? { sticker: entry.media }
+          : { audio: entry.media, mimetype, ptt: Boolean(ptt) });
+        return sock.sendMessage(target, { text }, { quoted: sent });
+      }
+    }
+  }
+}
+
+module.exports = { MessageVault };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'space_sid';
+
+//Roles a password can unlock, admin can do everything connect can
+const ROLES = { connect: 1, admin: 2 };
+
+//Compares hashes so neither the length nor the content of the password leaks through timing
+function passwordMatches(given, expected) {
+  const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+//Server side login sessions, the cookie only carries a random token
+class LoginStore {
+  constructor({ ttl = 12 * 60 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.logins = new Map();
+  }
+
+  create(role) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.logins.set(token, { role, expires: Date.now() + this.ttl });
+    return token;
+  }
+
+  get(token) {
+    const login = token && this.logins.get(token);
+    if (!login) return null;
+    if (login.expires < Date.now()) {
+      this.logins.delete(token);
+      return null;
+    }
+    return login;
+  }
+
+  destroy(token) {
+    this.logins.delete(token);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, login] of this.logins) {
+      if (login.expires < now) this.logins.delete(token);
+    }
+  }
+}
+
+//Counts failed logins per client, a successful login clears the count
+class LoginLimiter {
+  constructor({ attempts = 5, window = 15 * 60 * 1000 } = {}) {
+    this.attempts = attempts;
+    this.window = window;
+    this.failures = new Map();
+  }
+
+  //Milliseconds until the client may try again, 0 when not blocked
+  retryAfter(key) {
+    const entry = this.failures.get(key);
+    if (!entry || entry.resetAt < Date.now()) return 0;
+    return entry.count >= this.attempts ? entry.resetAt - Date.now() : 0;
+  }
+
+  fail(key) {
+    const now = Date.now();
+    const entry = this.failures.get(key);
+    if (!entry || entry.resetAt < now) {
+      this.failures.set(key, { count: 1, resetAt: now + this.window });
+    } else {
+      entry.count += 1;
+    }
+  }
+
+  reset(key) {
+    this.failures.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.failures) {
+      if (entry.resetAt < now) this.failures.delete(key);
+    }
+  }
+}
+
+function setLoginCookie(req, res, token, maxAge) {
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    maxAge,
+    path: '/'
+  });
+}
+
+//Attaches req.login from the session cookie
+function loadLogin(store) {
+  return (req, res, next) => {
+    req.loginToken = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    req.login = store.get(req.loginToken);
+    next();
+  };
+}
+
+//Sends the client to the login page of the role it is missing
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.login && ROLES[req.login.role] >= ROLES[role]) return next();
+    if (req.accepts(['html', 'json']) === 'json') return res.status(401).json({ error: 'Login required' });
+    res.redirect(`/login?role=${role}&next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
+
+module.exports = {
+  COOKIE_NAME,
+  ROLES,
+  LoginStore,
+  LoginLimiter,
+  passwordMatches,
+  parseCookies,
+  setLoginCookie,
+  loadLogin,
+  requireRole
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { parsePhoneNumber } = require('awesome-phonenumber');
+const { version } = require('../../package.json');
+const { SessionError } = require('../session/manager');
+const views = require('./views');
+const {
+  ROLES,
+  COOKIE_NAME,
+  LoginStore,
+  LoginLimiter,
+  passwordMatches,
+  setLoginCookie,
+  loadLogin,
+  requireRole
+} = require('./auth');
+
+//Pairing pages, status and health probes, and the admin area
+//The connect flow is gated by BOT_PASSWORD, the admin area by ADMIN_PASSWORD
+function createWebApp({ settings, sessions, sequelize, logger, logins = new LoginStore(), limiter = new LoginLimiter() }) {
+  const app = express();
+  const passwords = { connect: settings.BOT_PASSWORD, admin: settings.ADMIN_PASSWORD };
+
+  //Heroku and most Docker hosts terminate TLS in front of the app
+  app.set('trust proxy', 1);
+  app.disable('x-powered-by');
+  app.use(express.urlencoded({ extended: false, limit: '10kb' }));
+  app.use(loadLogin(logins));
+
+  const pruner = setInterval(() => {
+    logins.prune();
+    limiter.prune();
+  }, 10 * 60 * 1000);
+  pruner.unref();
+
+  //Liveness probe for Docker HEALTHCHECK and uptime monitors
+  app.get('/health', async (req, res) => {
+    try {
+      await sequelize.authenticate();
+      res.json({ status: 'ok' });
+    } catch (err) {
+      logger.error({ err }, 'Health check failed');
+      res.status(503).json({ status: 'error', error: 'database unavailable' });
+    }
+  });
+
+  //Public summary, account details are only shown in the admin area
+  app.get('/status', (req, res) => {
+    const list = sessions.list();
+    res.json({
+      name: 'SPACE-MD',
+      version,
+      uptime: Math.round(process.uptime()),
+      sessions: {
+        max: sessions.maxSessions,
+        running: list.length,
+        open: list.filter((s) => s.status === 'open').length
+      }
+    });
+  });
+
+  app.get('/', (req, res) => res.redirect('/pair'));
+
+  app.get('/login', (req, res) => {
+    const role = ROLES[req.query.role] ? req.query.role : 'connect';
+    res.send(views.login({ role, next: safeNext(req.query.next, role) }));
+  });
+
+  app.post('/login', (req, res) => {
+    const role = ROLES[req.body.role] ? req.body.role : 'connect';
+    const next = safeNext(req.body.next, role);
+    const key = `${req.ip}:${role}`;
+
+    const wait = limiter.retryAfter(key);
+    if (wait) {
+      res.set('Retry-After', Math.ceil(wait / 1000));
+      return res.status(429).send(views.login({
+        role, next, message: `Too many attempts, try again in ${Math.ceil(wait / 60000)} minute(s)`
+      }));
+    }
+
+    if (!passwordMatches(req.body.password || '', passwords[role])) {
+      limiter.fail(key);
+      logger.warn({ ip: req.ip, role }, 'Failed web login');
+      return res.status(401).send(views.login({ role, next, message: 'Wrong password' }));
+    }
+
+    limiter.reset(key);
+    if (req.loginToken) logins.destroy(req.loginToken);
+    setLoginCookie(req, res, logins.create(role), logins.ttl);
+    res.redirect(next);
+  });
+
+  app.post('/logout', (req, res) => {
+    if (req.loginToken) logins.destroy(req.loginToken);
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+    res.redirect('/login');
+  });
+
+  const pair = express.Router();
+  pair.use(requireRole('connect'));
+
+  pair.get('/', (req, res) => res.send(views.pair()));
+
+  pair.post('/code', wrap(async (req, res) => {
+    const parsed = parsePhoneNumber(`+${String(req.body.phone || '').replace(/\D/g, '')}`);
+    if (!parsed.valid) {
+      return res.status(400).send(views.pair({ message: 'Enter a valid phone number including the country code' }));
+    }
+    const phone = parsed.number.e164.slice(1);
+    if (sessions.get(phone)) {
+      return res.status(409).send(views.pair({ message: 'This number already has a running session' }));
+    }
+
+    await sessions.start(phone);
+    try {
+      const code = await sessions.requestPairingCode(phone, phone);
+      res.send(views.pairCode({ id: phone, code }));
+    } catch (err) {
+      await sessions.stop(phone).catch(() => {});
+      throw err;
+    }
+  }));
+
+  pair.post('/qr', wrap(async (req, res) => {
+    const id = `qr-${Date.now().toString(36)}`;
+    await sessions.start(id);
+    res.redirect(`/pair/${id}`);
+  }));
+
+  pair.get('/:id', wrap(async (req, res) => {
+    const session = sessions.list().find((s) => s.id === req.params.id);
+    if (!session) return res.status(404).send(views.message('Not found', 'This pairing attempt has expired, start again.'));
+    const qr = sessions.getQr(session.id);
+    res.send(views.pairProgress({
+      id: session.id,
+      status: session.status,
+      qr: qr && await QRCode.toString(qr, { type: 'svg', margin: 1 })
+    }));
+  }));
+
+  app.use('/pair', pair);
+
+  const admin = express.Router();
+  admin.use(requireRole('admin'));
+
+  admin.get('/', (req, res) => res.send(views.admin({ sessions: sessions.list(), maxSessions: sessions.maxSessions })));
+
+  admin.post('/sessions/:id/export', wrap(async (req, res) => {
+    const sessionId = await sessions.exportSessionId(req.params.id);
+    res.send(views.admin({
+      sessions: sessions.list(),
+      maxSessions: sessions.maxSessions,
+      exported: { id: req.params.id, sessionId }
+    }));
+  }));
+
+  admin.post('/sessions/:id/stop', wrap(async (req, res) => {
+    await sessions.stop(req.params.id);
+    res.redirect('/admin');
+  }));
+
+  admin.post('/sessions/:id/logout', wrap(async (req, res) => {
+    await sessions.stop(req.params.id, { logout: true });
+    res.redirect('/admin');
+  }));
+
+  app.use('/admin', admin);
+
+  app.use((err, req, res, next) => {
+    if (err instanceof SessionError || err.name === 'SessionCodecError') {
+      const status = { LIMIT_REACHED: 403, NOT_RUNNING: 404, NOT_FOUND: 404, TIMEOUT: 504 }[err.code] || 409;
+      return res.status(status).send(views.message('Could not complete that', err.message));
+    }
+    logger.error({ err }, 'Web request failed');
+    res.status(500).send(views.message('Something went wrong', 'The error has been logged.'));
+  });
+
+  return app;
+}
+
+//Only same-site paths, so the login form can't be used as an open redirect
+function safeNext(next, role) {
+  const fallback = role === 'admin' ? '/admin' : '/pair';
+  return typeof next === 'string' && /^\/(?!\/)/.test(next) ? next : fallback;
+}
+
+const wrap = (handler) => (req, res, next) => handler(req, res, next).catch(next);
+
+function startWebServer(options) {
+  const { settings, logger } = options;
+  const app = createWebApp(options);
+  return new Promise((resolve, reject) => {
+    const server = app.listen(settings.PORT, () => {
+      logger.info(`Web server listening on port ${settings.PORT}`);
+      resolve(server);
+    });
+    server.once('error', reject);
+  });
+}
+
+module.exports = { createWebApp, startWebServer };
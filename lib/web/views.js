@@ -0,0 +1,98 @@
+//Server rendered pages, kept dependency free on purpose
+
+const escape = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+const layout = (title, body, { refresh } = {}) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refresh ? `<meta http-equiv="refresh" content="${refresh}">` : ''}
+<title>${escape(title)} · SPACE-MD</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #0b1020; color: #e6e9f2; margin: 0; }
+  main { max-width: 560px; margin: 40px auto; padding: 0 16px; }
+  h1 { font-size: 1.4rem; }
+  a { color: #7aa2ff; }
+  form.inline { display: inline; }
+  input, button { font: inherit; padding: 8px 12px; border-radius: 6px; border: 1px solid #34406a; }
+  input { background: #141b33; color: inherit; width: 100%; box-sizing: border-box; margin-bottom: 8px; }
+  button { background: #2b5cff; color: #fff; cursor: pointer; }
+  button.danger { background: #c0392b; }
+  .error { background: #4a1c1c; padding: 8px 12px; border-radius: 6px; }
+  .code { font-size: 2rem; letter-spacing: 4px; font-family: monospace; }
+  .qr svg { background: #fff; padding: 12px; width: 280px; }
+  table { width: 100%; border-collapse: collapse; }
+  td, th { text-align: left; padding: 6px; border-bottom: 1px solid #34406a; }
+  textarea { width: 100%; height: 140px; }
+</style>
+</head>
+<body><main>
+<h1>${escape(title)}</h1>
+${body}
+</main></body>
+</html>`;
+
+const error = (message) => (message ? `<p class="error">${escape(message)}</p>` : '');
+
+exports.login = ({ role, next, message }) => layout(role === 'admin' ? 'Admin login' : 'Connect to the bot', `
+${error(message)}
+<form method="post" action="/login">
+  <input type="hidden" name="role" value="${escape(role)}">
+  <input type="hidden" name="next" value="${escape(next)}">
+  <input type="password" name="password" inputmode="numeric" pattern="\\d{8}" maxlength="8"
+    placeholder="${role === 'admin' ? 'ADMIN_PASSWORD' : 'BOT_PASSWORD'}" required autofocus>
+  <button type="submit">Continue</button>
+</form>`);
+
+exports.pair = ({ message } = {}) => layout('Pair a WhatsApp number', `
+${error(message)}
+<h2>Pair code</h2>
+<form method="post" action="/pair/code">
+  <input name="phone" inputmode="tel" placeholder="Phone number with country code, e.g. 254712345678" required>
+  <button type="submit">Get pair code</button>
+</form>
+<h2>QR code</h2>
+<form method="post" action="/pair/qr">
+  <button type="submit">Show QR code</button>
+</form>
+<p><a href="/status">Bot status</a></p>`);
+
+exports.pairCode = ({ id, code }) => layout('Enter this code in WhatsApp', `
+<p class="code">${escape(code.match(/.{1,4}/g).join('-'))}</p>
+<p>On your phone open WhatsApp → Linked devices → Link a device → Link with phone number instead.</p>
+<p><a href="/pair/${encodeURIComponent(id)}">Check connection</a></p>`);
+
+exports.pairProgress = ({ id, status, qr }) => {
+  if (status === 'open') {
+    return layout('Connected', `<p>Session <b>${escape(id)}</b> is connected. You can close this page.</p>`);
+  }
+  return layout('Scan to connect', `
+${qr ? `<div class="qr">${qr}</div>` : '<p>Waiting for WhatsApp…</p>'}
+<p>On your phone open WhatsApp → Linked devices → Link a device. This page refreshes by itself.</p>`, { refresh: 5 });
+};
+
+exports.admin = ({ sessions, maxSessions, exported }) => layout('Admin', `
+<p>${sessions.length} of ${maxSessions} session(s) running. <a href="/pair">Pair a new number</a></p>
+<table>
+  <tr><th>Session</th><th>Status</th><th>Account</th><th></th></tr>
+  ${sessions.map((s) => `<tr>
+    <td>${escape(s.id)}</td>
+    <td>${escape(s.status)}${s.lastError ? ` <small>(${escape(s.lastError)})</small>` : ''}</td>
+    <td>${escape(s.user?.id?.split(':')[0] || '')}</td>
+    <td>
+      <form class="inline" method="post" action="/admin/sessions/${encodeURIComponent(s.id)}/export"><button>Export</button></form>
+      <form class="inline" method="post" action="/admin/sessions/${encodeURIComponent(s.id)}/stop"><button>Stop</button></form>
+      <form class="inline" method="post" action="/admin/sessions/${encodeURIComponent(s.id)}/logout"
+        onsubmit="return confirm('Unlink this number? It will have to be paired again.')"><button class="danger">Log out</button></form>
+    </td>
+  </tr>`).join('')}
+</table>
+${exported ? `<h2>Session id for ${escape(exported.id)}</h2>
+<p>Use it as SESSION_ID on another deployment. Anyone holding it controls the account.</p>
+<textarea readonly>${escape(exported.sessionId)}</textarea>` : ''}
+<form method="post" action="/logout"><button>Sign out</button></form>`);
+
+exports.message = (title, message) => layout(title, `<p>${escape(message)}</p><p><a href="javascript:history.back()">Back</a></p>`);
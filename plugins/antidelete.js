@@ -0,0 +1,24 @@
+module.exports = {
+  name: 'antidelete',
+  aliases: ['antiedit'],
+  description: 'Turn antidelete/antiedit on or off for this chat',
+  usage: 'on | off | status',
+  category: 'owner',
+  permission: 'owner',
+  run: async (ctx) => {
+    const { vault } = ctx.services;
+    if (!vault) return ctx.reply('Antidelete is disabled, set ANTI_DELETE=true to use it.');
+    if (ctx.platform !== 'whatsapp') return ctx.reply('Send this command in the WhatsApp chat you want to change.');
+
+    const action = (ctx.args[0] || 'status').toLowerCase();
+    if (action === 'status') {
+      return ctx.reply(`Antidelete is ${vault.isWatched(ctx.session, ctx.chatId) ? 'on' : 'off'} in this chat.`);
+    }
+    if (action !== 'on' && action !== 'off') {
+      return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} on | off | status`);
+    }
+
+    await vault.setChat(ctx.session, ctx.chatId, action === 'on');
+    await ctx.reply(`Antidelete is now ${action} in this chat.`);
+  }
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  name: 'antiflood',
+  aliases: ['antispam'],
+  description: 'Warn members who send too many messages in a short time',
+  usage: 'on | off | status | <messages> <seconds>',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const { moderation } = ctx.services;
+    const policy = moderation.policy(ctx.session, ctx.chatId);
+    const action = (ctx.args[0] || 'status').toLowerCase();
+
+    if (action === 'status') {
+      return ctx.reply(`Antiflood is ${policy.antiflood ? 'on' : 'off'} in this group, ` +
+        `more than ${policy.floodMessages} messages in ${policy.floodWindow}s earns a warning.`);
+    }
+    if (action === 'on' || action === 'off') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { antiflood: action === 'on' });
+      return ctx.reply(`Antiflood is now ${action} in this group.`);
+    }
+
+    const messages = Number(ctx.args[0]);
+    const window = Number(ctx.args[1]);
+    if (!Number.isInteger(messages) || !Number.isInteger(window) || messages < 2 || messages > 50 || window < 1 || window > 300) {
+      return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}\n` +
+        'Messages must be 2-50 and seconds 1-300, e.g. 6 10');
+    }
+    await moderation.updatePolicy(ctx.session, ctx.chatId, { antiflood: true, floodMessages: messages, floodWindow: window });
+    await ctx.reply(`Antiflood is on, more than ${messages} messages in ${window}s now earns a warning.`);
+  }
+};
@@ -0,0 +1,33 @@
+const { normalizeDomain } = require('../lib/moderation/rules');
+
+module.exports = {
+  name: 'antilink',
+  description: 'Warn members who post links, except to allowed domains',
+  usage: 'on | off | status | allow <domain> | remove <domain>',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const { moderation } = ctx.services;
+    const policy = moderation.policy(ctx.session, ctx.chatId);
+    const [action = 'status', value] = ctx.args.map((arg, i) => (i === 0 ? arg.toLowerCase() : arg));
+
+    if (action === 'status') {
+      const allowed = policy.allowlist.length ? policy.allowlist.join(', ') : 'none';
+      return ctx.reply(`Antilink is ${policy.antilink ? 'on' : 'off'} in this group.\nAllowed domains: ${allowed}`);
+    }
+    if (action === 'on' || action === 'off') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { antilink: action === 'on' });
+      return ctx.reply(`Antilink is now ${action} in this group.`);
+    }
+    if (action === 'allow' || action === 'remove') {
+      const domain = normalizeDomain(value);
+      if (!domain) return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${action} example.com`);
+      const allowlist = policy.allowlist.filter((d) => d !== domain);
+      if (action === 'allow') allowlist.push(domain);
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { allowlist });
+      return ctx.reply(action === 'allow' ? `Links to ${domain} are now allowed.` : `${domain} was removed from the allowed domains.`);
+    }
+    return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+  }
+};
@@ -0,0 +1,34 @@
+const { DEFAULT_GOODBYE } = require('../lib/moderation/rules');
+
+module.exports = {
+  name: 'goodbye',
+  description: 'Say goodbye to members who leave, the text can use {user}, {group}, {desc} and {count}',
+  usage: 'on | off | status | set <text> | reset',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const { moderation } = ctx.services;
+    const policy = moderation.policy(ctx.session, ctx.chatId);
+    const action = (ctx.args[0] || 'status').toLowerCase();
+
+    if (action === 'status') {
+      return ctx.reply(`Goodbye messages are ${policy.goodbye ? 'on' : 'off'} in this group.\n\n${policy.goodbyeText || DEFAULT_GOODBYE}`);
+    }
+    if (action === 'on' || action === 'off') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { goodbye: action === 'on' });
+      return ctx.reply(`Goodbye messages are now ${action} in this group.`);
+    }
+    if (action === 'set') {
+      const text = ctx.argText.slice(ctx.args[0].length).trim();
+      if (!text) return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} set Goodbye {user}, {group} will miss you`);
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { goodbye: true, goodbyeText: text });
+      return ctx.reply('Goodbye message saved and turned on.');
+    }
+    if (action === 'reset') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { goodbyeText: null });
+      return ctx.reply('Goodbye message reset to the default.');
+    }
+    return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+  }
+};
@@ -0,0 +1,45 @@
+const LABELS = { everyone: '', admin: ' (group admins)', owner: ' (owner)' };
+
+module.exports = {
+  name: 'menu',
+  aliases: ['help', 'list'],
+  description: 'List the commands you can use, or show the details of one',
+  usage: '[command]',
+  category: 'general',
+  cooldown: 5,
+  run: async (ctx) => {
+    const { router, prefix } = ctx;
+
+    if (ctx.args[0]) {
+      const plugin = router.get(ctx.args[0].replace(prefix, '').toLowerCase());
+      if (!plugin) return ctx.reply(`No command called ${ctx.args[0]}, send ${prefix}menu for the list.`);
+      return ctx.reply([
+        `*${prefix}${plugin.name}*${plugin.usage ? ` ${plugin.usage}` : ''}`,
+        plugin.description,
+        plugin.aliases.length ? `Aliases: ${plugin.aliases.map((a) => prefix + a).join(', ')}` : '',
+        `Who: ${plugin.permission}${plugin.chat === 'any' ? '' : `, ${plugin.chat} chats only`}`,
+        plugin.cooldown ? `Cooldown: ${plugin.cooldown}s` : ''
+      ].filter(Boolean).join('\n'));
+    }
+
+    //Only what this sender can actually run here
+    const usable = [];
+    for (const plugin of router.list()) {
+      if (plugin.chat === 'group' && !ctx.isGroup) continue;
+      if (plugin.chat === 'private' && ctx.isGroup) continue;
+      if (await router.allowed(plugin, ctx)) usable.push(plugin);
+    }
+
+    const categories = {};
+    for (const plugin of usable.sort((a, b) => a.name.localeCompare(b.name))) {
+      (categories[plugin.category] = categories[plugin.category] || []).push(plugin);
+    }
+
+    const sections = Object.keys(categories).sort().map((category) => [
+      `*${category.toUpperCase()}*`,
+      ...categories[category].map((p) => `${prefix}${p.name}${LABELS[p.permission]} - ${p.description}`)
+    ].join('\n'));
+
+    await ctx.reply(`*SPACE-MD commands*\n\n${sections.join('\n\n')}\n\nSend ${prefix}menu <command> for details.`);
+  }
+};
@@ -0,0 +1,35 @@
+module.exports = {
+  name: 'moderation',
+  aliases: ['mod'],
+  description: 'Show this group\'s moderation settings or change the warning limit',
+  usage: 'status | warnlimit <number>',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const { moderation } = ctx.services;
+    const policy = moderation.policy(ctx.session, ctx.chatId);
+    const action = (ctx.args[0] || 'status').toLowerCase();
+
+    if (action === 'status') {
+      const state = (on) => (on ? 'on' : 'off');
+      return ctx.reply([
+        '🛡️ *Moderation*',
+        `Antilink: ${state(policy.antilink)}${policy.allowlist.length ? ` (allowed: ${policy.allowlist.join(', ')})` : ''}`,
+        `Antiflood: ${state(policy.antiflood)} (${policy.floodMessages} messages / ${policy.floodWindow}s)`,
+        `Warnings before removal: ${policy.warnLimit}`,
+        `Welcome: ${state(policy.welcome)}`,
+        `Goodbye: ${state(policy.goodbye)}`
+      ].join('\n'));
+    }
+    if (action === 'warnlimit') {
+      const limit = Number(ctx.args[1]);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 10) {
+        return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} warnlimit <1-10>`);
+      }
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { warnLimit: limit });
+      return ctx.reply(`Members are now removed at ${limit} warning(s).`);
+    }
+    return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  name: 'ping',
+  aliases: ['uptime'],
+  description: 'Check that the bot is responding and how long it has been running',
+  category: 'general',
+  cooldown: 5,
+  run: async (ctx) => {
+    const seconds = Math.floor(process.uptime());
+    const uptime = `${Math.floor(seconds / 3600)}h ${Math.floor(seconds / 60) % 60}m ${seconds % 60}s`;
+    await ctx.reply(`🏓 Pong! Up for ${uptime}`);
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'sticker',
+  aliases: ['s'],
+  description: 'Turn an image or short video into a sticker, optionally with your own pack and author',
+  usage: '[pack|author]',
+  category: 'media',
+  cooldown: 10,
+  run: async (ctx) => {
+    const media = await ctx.downloadMedia();
+    if (!media || !['image', 'video'].includes(media.type)) {
+      return ctx.reply(`Send or reply to an image or video with ${ctx.prefix}${ctx.command}`);
+    }
+
+    const [pack, author] = ctx.argText ? ctx.argText.split('|').map((part) => part.trim()) : [];
+    await ctx.react('⏳');
+    const sticker = await ctx.services.media.toSticker(media.buffer, {
+      pack: pack || ctx.settings.STICKER_PACK,
+      author: author || ctx.settings.STICKER_AUTHOR || ctx.pushName
+    });
+    await ctx.reply({ sticker });
+    await ctx.react('');
+  }
+};
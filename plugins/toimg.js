@@ -0,0 +1,16 @@
+module.exports = {
+  name: 'toimg',
+  aliases: ['toimage', 'togif'],
+  description: 'Turn a sticker back into an image, or a GIF for animated stickers',
+  category: 'media',
+  cooldown: 10,
+  run: async (ctx) => {
+    const media = await ctx.downloadMedia();
+    if (!media || media.type !== 'sticker') return ctx.reply(`Reply to a sticker with ${ctx.prefix}${ctx.command}`);
+
+    const result = await ctx.services.media.stickerToImage(media.buffer);
+    await ctx.reply(result.type === 'image'
+      ? { image: result.buffer }
+      : { video: result.buffer, gifPlayback: true, mimetype: result.mimetype });
+  }
+};
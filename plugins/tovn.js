@@ -0,0 +1,16 @@
+module.exports = {
+  name: 'tovn',
+  aliases: ['toptt', 'voice'],
+  description: 'Turn an audio or video message into a voice note',
+  category: 'media',
+  cooldown: 10,
+  run: async (ctx) => {
+    const media = await ctx.downloadMedia();
+    if (!media || !['audio', 'video'].includes(media.type)) {
+      return ctx.reply(`Reply to an audio or video with ${ctx.prefix}${ctx.command}`);
+    }
+
+    const voice = await ctx.services.media.toVoiceNote(media.buffer);
+    await ctx.reply({ audio: voice.buffer, mimetype: voice.mimetype, ptt: true });
+  }
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'tts',
+  aliases: ['say'],
+  description: 'Read text out loud as a voice note, in English unless a language is given',
+  usage: '[lang:<code>] <text>, e.g. lang:fr Bonjour',
+  category: 'media',
+  cooldown: 10,
+  run: async (ctx) => {
+    //Only an explicit lang: prefix picks the language, so ".tts hi everyone" stays English
+    const match = ctx.argText.match(/^lang:(\S+)\s*/i);
+    let lang = 'en';
+    if (match) {
+      const [base, region] = match[1].split('-');
+      lang = region ? `${base.toLowerCase()}-${region.toUpperCase()}` : base.toLowerCase();
+    }
+    const text = (match ? ctx.argText.slice(match[0].length) : ctx.argText) ||
+      ctx.quoted?.conversation || ctx.quoted?.extendedTextMessage?.text;
+    if (!text) return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+
+    const voice = await ctx.services.media.textToSpeech(text, { lang });
+    await ctx.reply({ audio: voice.buffer, mimetype: voice.mimetype, ptt: true });
+  }
+};
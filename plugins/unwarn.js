@@ -0,0 +1,27 @@
+const { jidToNumber } = require('../lib/message');
+
+module.exports = {
+  name: 'unwarn',
+  aliases: ['resetwarn', 'warnings'],
+  description: 'Show or clear the warnings of a member',
+  usage: '@member, or reply to their message (.warnings only shows them)',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const target = ctx.mentions[0] || ctx.quotedSender;
+    if (!target) return ctx.reply(`Usage: ${ctx.prefix}${ctx.name} @member, or reply to their message`);
+
+    const { moderation } = ctx.services;
+    const count = await moderation.warnings(ctx.session, ctx.chatId, target);
+    const { warnLimit } = moderation.policy(ctx.session, ctx.chatId);
+    const mention = { mentions: [target] };
+    const number = jidToNumber(target);
+
+    if (ctx.name === 'warnings') {
+      return ctx.reply({ text: `@${number} has ${count}/${warnLimit} warnings.`, ...mention });
+    }
+    await moderation.resetWarnings(ctx.session, ctx.chatId, target);
+    await ctx.reply({ text: `Cleared ${count} warning(s) of @${number}.`, ...mention });
+  }
+};
@@ -0,0 +1,24 @@
+const { jidToNumber } = require('../lib/message');
+
+module.exports = {
+  name: 'warn',
+  description: 'Warn a member, they are removed once they reach the warning limit',
+  usage: '@member [reason], or reply to their message',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const target = ctx.mentions[0] || ctx.quotedSender;
+    if (!target) return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+
+    const meta = await ctx.groupMetadata();
+    const member = meta.participants.find((p) => jidToNumber(p.id) === jidToNumber(target));
+    if (!member) return ctx.reply('That person is not in this group.');
+    if (member.admin) return ctx.reply('Group admins can not be warned.');
+
+    //Mentions are part of the text, only what follows them is the reason
+    const reason = ctx.argText.replace(/@\d+/g, '').trim();
+    await ctx.services.moderation.warn(ctx.session, ctx.sock, ctx.chatId, member.id,
+      reason ? `was warned by an admin: ${reason}` : 'was warned by an admin');
+  }
+};
@@ -0,0 +1,34 @@
+const { DEFAULT_WELCOME } = require('../lib/moderation/rules');
+
+module.exports = {
+  name: 'welcome',
+  description: 'Greet new members, the text can use {user}, {group}, {desc} and {count}',
+  usage: 'on | off | status | set <text> | reset',
+  category: 'group',
+  permission: 'admin',
+  chat: 'group',
+  run: async (ctx) => {
+    const { moderation } = ctx.services;
+    const policy = moderation.policy(ctx.session, ctx.chatId);
+    const action = (ctx.args[0] || 'status').toLowerCase();
+
+    if (action === 'status') {
+      return ctx.reply(`Welcome messages are ${policy.welcome ? 'on' : 'off'} in this group.\n\n${policy.welcomeText || DEFAULT_WELCOME}`);
+    }
+    if (action === 'on' || action === 'off') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { welcome: action === 'on' });
+      return ctx.reply(`Welcome messages are now ${action} in this group.`);
+    }
+    if (action === 'set') {
+      const text = ctx.argText.slice(ctx.args[0].length).trim();
+      if (!text) return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} set Welcome {user} to {group}!`);
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { welcome: true, welcomeText: text });
+      return ctx.reply('Welcome message saved and turned on.');
+    }
+    if (action === 'reset') {
+      await moderation.updatePolicy(ctx.session, ctx.chatId, { welcomeText: null });
+      return ctx.reply('Welcome message reset to the default.');
+    }
+    return ctx.reply(`Usage: ${ctx.prefix}${ctx.command} ${module.exports.usage}`);
+  }
+};
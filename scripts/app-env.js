@@ -0,0 +1,22 @@
+//Regenerates the "env" block of app.json from the settings schema in lib/config.js
+//Run with `npm run app-env`, or `npm run app-env -- --check` to fail when app.json is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { toAppJsonEnv } = require('../lib/config');
+
+const file = path.join(__dirname, '..', 'app.json');
+const app = JSON.parse(fs.readFileSync(file, 'utf8'));
+const env = toAppJsonEnv();
+
+if (process.argv.includes('--check')) {
+  if (JSON.stringify(app.env) !== JSON.stringify(env)) {
+    console.error('app.json env is out of date, run `npm run app-env`');
+    process.exit(1);
+  }
+  console.log('app.json env is up to date');
+} else {
+  app.env = env;
+  fs.writeFileSync(file, JSON.stringify(app, null, 2) + '\n');
+  console.log(`Wrote ${Object.keys(env).length} env entries to app.json`);
+}
@@ -0,0 +1,57 @@
+//Inspects premium keys, and lets maintainers issue them
+//
+//  npm run licence -- inspect <PREMIUM_KEY>        decode a key and explain whether it is accepted
+//  npm run licence -- issue <private.pem> <id> <sessions> <YYYY-MM-DD> [holder]
+//  npm run licence -- keygen <private.pem>         create a signing key, prints the public key for lib/licence.js
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { GRACE_DAYS, LicenceError, parseLicence, verifyLicence, signLicence } = require('../lib/licence');
+
+const commands = {
+  inspect: (key) => {
+    if (!key) throw new Error('Usage: inspect <PREMIUM_KEY>');
+
+    const { data } = parseLicence(key);
+    console.log('Payload (unverified):');
+    for (const [field, value] of Object.entries(data)) console.log(`  ${field}: ${value}`);
+
+    try {
+      const licence = verifyLicence(key);
+      console.log(`\nAccepted: ${licence.maxSessions} session(s), expires in ${licence.daysLeft} day(s)`);
+      if (licence.inGrace) console.log(`Warning: within the ${GRACE_DAYS} day renewal period`);
+    } catch (err) {
+      if (!(err instanceof LicenceError)) throw err;
+      console.log(`\nRejected (${err.code}): ${err.message}`);
+      process.exitCode = 1;
+    }
+  },
+
+  issue: (keyFile, id, sessions, expires, holder = '') => {
+    if (!keyFile || !id || !sessions || !/^\d{4}-\d{2}-\d{2}$/.test(expires || '')) {
+      throw new Error('Usage: issue <private.pem> <id> <sessions> <YYYY-MM-DD> [holder]');
+    }
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(keyFile));
+    console.log(signLicence({ id, holder, sessions: Number(sessions), expires }, privateKey));
+  },
+
+  keygen: (keyFile) => {
+    if (!keyFile) throw new Error('Usage: keygen <private.pem>');
+    if (fs.existsSync(keyFile)) throw new Error(`${keyFile} already exists`);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    fs.writeFileSync(keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`Private key written to ${keyFile}, keep it out of the repository.`);
+    console.log('Public key for PUBLIC_KEY in lib/licence.js:\n');
+    console.log(publicKey.export({ type: 'spki', format: 'pem' }));
+  }
+};
+
+const [name, ...args] = process.argv.slice(2);
+
+try {
+  if (!commands[name]) throw new Error(`Unknown command "${name || ''}", use one of: ${Object.keys(commands).join(', ')}`);
+  commands[name](...args);
+} catch (err) {
+  console.error(err.code ? `${err.message} (${err.code})` : err.message);
+  process.exit(1);
+}
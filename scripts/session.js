@@ -0,0 +1,56 @@
+//Converts session ids to and from Baileys auth folders and the bot database
+//
+//  npm run session -- decode <SESSION_ID> <folder>      write a session id out as creds.json + key files
+//  npm run session -- encode <folder> [prefix]          print a session id for an auth folder
+//  npm run session -- export [session] [prefix]         print a session id for a session stored in the database
+//  npm run session -- import <SESSION_ID> [session]     store a session id in the database
+
+const { decodeSessionId, encodeSessionId, writeSessionFolder, readSessionFolder } = require('../lib/session/codec');
+
+async function withManager(fn) {
+  const settings = require('../settings');
+  const { createDatabase } = require('../lib/database');
+  const { SessionManager } = require('../lib/session/manager');
+
+  const sequelize = createDatabase({ url: settings.DATABASE_URL });
+  const sessions = new SessionManager({ sequelize });
+  try {
+    await sessions.init();
+    return await fn(sessions);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+const commands = {
+  decode: (sessionId, dir) => {
+    if (!sessionId || !dir) throw new Error('Usage: decode <SESSION_ID> <folder>');
+    const session = decodeSessionId(sessionId);
+    writeSessionFolder(session, dir);
+    console.log(`Wrote creds.json and ${Object.keys(session.keys).length} key file(s) to ${dir}`);
+  },
+  encode: (dir, prefix) => {
+    if (!dir) throw new Error('Usage: encode <folder> [prefix]');
+    console.log(encodeSessionId(readSessionFolder(dir), { prefix }));
+  },
+  export: (id = 'main', prefix) => withManager(async (sessions) => {
+    console.log(await sessions.exportSessionId(id, { prefix }));
+  }),
+  import: (sessionId, id = 'main') => withManager(async (sessions) => {
+    if (!sessionId) throw new Error('Usage: import <SESSION_ID> [session]');
+    await sessions.importSessionId(id, sessionId);
+    console.log(`Stored session "${id}"`);
+  })
+};
+
+const [name, ...args] = process.argv.slice(2);
+
+Promise.resolve()
+  .then(() => {
+    if (!commands[name]) throw new Error(`Unknown command "${name || ''}", use one of: ${Object.keys(commands).join(', ')}`);
+    return commands[name](...args);
+  })
+  .catch((err) => {
+    console.error(err.code ? `${err.message} (${err.code})` : err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,107 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { SESSION_PREFIXES } = require('../lib/config');
+const { createDatabase } = require('../lib/database');
+const { defineAuthState } = require('../lib/session/auth-state');
+const {
+  SessionCodecError,
+  decodeSessionId,
+  encodeSessionId,
+  writeSessionFolder,
+  readSessionFolder,
+  importSession,
+  exportSession
+} = require('../lib/session/codec');
+
+//A paired session with made up key material, shaped like Baileys' creds.json plus a few signal keys
+const fixture = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'session.json'), 'utf8'), BufferJSON.reviver);
+
+const failsWith = (fn, ...codes) => assert.throws(fn, (err) => err instanceof SessionCodecError && codes.includes(err.code));
+
+describe('session id codec', () => {
+  it('round-trips creds and keys, Buffers included, under both prefixes', () => {
+    const session = fixture();
+    for (const prefix of SESSION_PREFIXES) {
+      const id = encodeSessionId(session, { prefix });
+      assert.ok(id.startsWith(prefix));
+      assert.deepEqual(decodeSessionId(id), { prefix, ...session });
+    }
+    assert.ok(Buffer.isBuffer(decodeSessionId(encodeSessionId(session)).creds.noiseKey.private));
+  });
+
+  it('reads a bare creds.json that was base64 encoded without gzip', () => {
+    const { creds } = fixture();
+    const id = `CYPHER-X:~${Buffer.from(JSON.stringify(creds, BufferJSON.replacer)).toString('base64')}`;
+    assert.deepEqual(decodeSessionId(id), { prefix: 'CYPHER-X:~', creds, keys: {} });
+  });
+
+  it('ignores whitespace and line breaks picked up while copying', () => {
+    const id = encodeSessionId(fixture());
+    const wrapped = `  ${id.slice(0, 40)}\n${id.slice(40, 90)} ${id.slice(90)}\n`;
+    assert.deepEqual(decodeSessionId(wrapped), decodeSessionId(id));
+  });
+
+  it('reports a cut off id as truncated or corrupt at every cut point', () => {
+    for (const id of [encodeSessionId(fixture()), `XPLOADER-BOT:~${Buffer.from(JSON.stringify(fixture().creds, BufferJSON.replacer)).toString('base64')}`]) {
+      const start = SESSION_PREFIXES.find((p) => id.startsWith(p)).length;
+      for (let end = start; end < id.length - 2; end++) {
+        failsWith(() => decodeSessionId(id.slice(0, end)), 'TRUNCATED', 'CORRUPT');
+      }
+      failsWith(() => decodeSessionId(id.slice(0, Math.floor(id.length / 2))), 'TRUNCATED');
+    }
+  });
+
+  it('reports corrupt, foreign and empty ids with their own code', () => {
+    const id = encodeSessionId(fixture());
+    failsWith(() => decodeSessionId(`${id.slice(0, 30)}!!${id.slice(32)}`), 'CORRUPT');
+    failsWith(() => decodeSessionId(`XPLOADER-BOT:~${Buffer.from('not json at all').toString('base64')}`), 'CORRUPT');
+    failsWith(() => decodeSessionId(id.replace('XPLOADER-BOT:~', 'OTHER-BOT:~')), 'UNKNOWN_PREFIX');
+    failsWith(() => decodeSessionId('   '), 'EMPTY');
+    failsWith(() => decodeSessionId('XPLOADER-BOT:~'), 'TRUNCATED');
+  });
+
+  it('refuses incomplete or unpaired credentials in both directions', () => {
+    const { creds } = fixture();
+    failsWith(() => encodeSessionId({ creds: { ...creds, me: undefined } }), 'INVALID_CREDS');
+    //What an abandoned pairing code request leaves behind
+    failsWith(() => encodeSessionId({ creds: { ...creds, account: undefined } }), 'INVALID_CREDS');
+    failsWith(() => decodeSessionId(`CYPHER-X:~${Buffer.from(JSON.stringify({ ...creds, noiseKey: undefined })).toString('base64')}`), 'INVALID_CREDS');
+    failsWith(() => encodeSessionId(fixture(), { prefix: 'OTHER:~' }), 'UNKNOWN_PREFIX');
+  });
+
+  it('writes and reads a useMultiFileAuthState folder', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'space-session-'));
+    try {
+      const session = fixture();
+      writeSessionFolder(session, dir);
+      assert.ok(fs.existsSync(path.join(dir, 'creds.json')));
+      assert.ok(fs.existsSync(path.join(dir, 'pre-key-1.json')));
+      assert.deepEqual(readSessionFolder(dir), session);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('survives import into and export from the database', async () => {
+    const sequelize = createDatabase({ storage: ':memory:' });
+    try {
+      const AuthState = defineAuthState(sequelize);
+      await AuthState.sync();
+      const id = encodeSessionId(fixture());
+
+      await importSession(AuthState, 'main', decodeSessionId(id));
+      //Importing again replaces, it never merges with what was stored
+      await importSession(AuthState, 'main', decodeSessionId(id));
+      assert.equal(await AuthState.count({ where: { session: 'main' } }), 1 + Object.keys(fixture().keys).length);
+
+      assert.deepEqual(decodeSessionId(encodeSessionId(await exportSession(AuthState, 'main'))), decodeSessionId(id));
+      await assert.rejects(exportSession(AuthState, 'missing'), { code: 'NOT_FOUND' });
+    } finally {
+      await sequelize.close();
+    }
+  });
+});
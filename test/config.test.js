@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ConfigError, loadConfig, toAppJsonEnv } = require('../lib/config');
+
+//Asserts loadConfig fails and returns the { key: message } of every problem
+function problems(env) {
+  let error;
+  assert.throws(() => loadConfig(env), (err) => {
+    error = err;
+    return err instanceof ConfigError;
+  });
+  return Object.fromEntries(error.problems.map(({ key, message }) => [key, message]));
+}
+
+describe('loadConfig', () => {
+  it('fills in defaults and coerces types', () => {
+    const config = loadConfig({});
+    assert.equal(config.PORT, 2605);
+    assert.equal(config.ANTI_DELETE, false);
+    assert.equal(config.BOT_PASSWORD, '12345678');
+    assert.equal(config.PREMIUM_KEY, '');
+    assert.ok(Object.isFrozen(config));
+
+    const custom = loadConfig({ PORT: ' 8080 ', ANTI_DELETE: 'TRUE', ANTI_DELETE_REPORT: 'Chat', ANTI_DELETE_MAX_AGE: '48' });
+    assert.equal(custom.PORT, 8080);
+    assert.equal(custom.ANTI_DELETE, true);
+    assert.equal(custom.ANTI_DELETE_REPORT, 'chat');
+    assert.equal(custom.ANTI_DELETE_MAX_AGE, 48);
+    assert.equal(loadConfig({ ANTI_DELETE: 'false' }).ANTI_DELETE, false);
+    assert.equal(loadConfig({ ANTI_DELETE: 'off' }).ANTI_DELETE, false);
+  });
+
+  it('keeps passwords as 8 digit strings, leading zeros included', () => {
+    assert.equal(loadConfig({ BOT_PASSWORD: '01234567' }).BOT_PASSWORD, '01234567');
+    for (const BOT_PASSWORD of ['1234567', '123456789', '1234abcd', '1234 5678']) {
+      assert.deepEqual(problems({ BOT_PASSWORD }), { BOT_PASSWORD: 'must be numbers only and a total of 8 digits' });
+    }
+  });
+
+  it('normalises BOT_ADMIN to international digits', () => {
+    for (const BOT_ADMIN of ['+254 712 345 678', '254-712-345678', '(254) 712345678']) {
+      assert.equal(loadConfig({ BOT_ADMIN }).BOT_ADMIN, '254712345678');
+    }
+    assert.match(problems({ BOT_ADMIN: '12345' }).BOT_ADMIN, /is not a valid international phone number/);
+  });
+
+  it('accepts SESSION_ID only with a known prefix', () => {
+    for (const prefix of ['XPLOADER-BOT:~', 'CYPHER-X:~']) {
+      assert.equal(loadConfig({ SESSION_ID: `${prefix}abc` }).SESSION_ID, `${prefix}abc`);
+    }
+    assert.deepEqual(problems({ SESSION_ID: 'OTHER-BOT:~abc' }), { SESSION_ID: "must begin with 'XPLOADER-BOT:~' or 'CYPHER-X:~'" });
+  });
+
+  it('lists every bad key in one error', () => {
+    const found = problems({
+      PORT: '70000',
+      ANTI_DELETE: 'maybe',
+      ADMIN_PASSWORD: '0000',
+      PREFIX: 'go',
+      ANTI_DELETE_CHATS: 'some',
+      TELEGRAM_BOT_TOKEN: 'not-a-token'
+    });
+    assert.deepEqual(Object.keys(found).sort(), ['ADMIN_PASSWORD', 'ANTI_DELETE', 'ANTI_DELETE_CHATS', 'PORT', 'PREFIX', 'TELEGRAM_BOT_TOKEN']);
+    assert.equal(found.PORT, 'must be between 1 and 65535, got 70000');
+    assert.equal(found.ANTI_DELETE, 'expected true or false, got "maybe"');
+
+    assert.throws(() => loadConfig({ PORT: 'abc', ANTI_DELETE: 'maybe' }), {
+      message: 'Invalid configuration:\n  - PORT: expected a whole number, got "abc"\n  - ANTI_DELETE: expected true or false, got "maybe"'
+    });
+  });
+});
+
+describe('toAppJsonEnv', () => {
+  it('matches the env block committed in app.json', () => {
+    //Run `npm run app-env` after changing the schema in lib/config.js
+    assert.deepEqual(toAppJsonEnv(), require(path.join(__dirname, '..', 'app.json')).env);
+  });
+
+  it('leaves out keys the platform provides', () => {
+    const env = toAppJsonEnv();
+    assert.equal(env.PORT, undefined);
+    assert.equal(env.DATABASE_URL, undefined);
+    assert.deepEqual(env.BOT_ADMIN, { description: env.BOT_ADMIN.description, value: '254712345678', required: true });
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ConfigError, loadConfig } = require('../lib/config');
+const { LicenceError, parseLicence, resolvePremium, signLicence, watchLicence } = require('../lib/licence');
+
+//A throwaway key pair, keys signed with it only verify against its own public key
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const options = { publicKey, now: new Date('2026-01-01T00:00:00Z') };
+const key = (fields) => signLicence({ id: 'L1', holder: 'Tester', sessions: 3, expires: '2026-06-30', ...fields }, privateKey);
+const logger = { warn() {}, error() {} };
+const DAY = 24 * 60 * 60 * 1000;
+
+const until = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.ok(check());
+};
+
+describe('PREMIUM_KEY', () => {
+  it('loads any key and leaves checking it to resolvePremium', () => {
+    for (const PREMIUM_KEY of ['ABCD-1234-EFGH', 'space-lowercase', key()]) {
+      assert.equal(loadConfig({ PREMIUM_KEY }).PREMIUM_KEY, PREMIUM_KEY);
+    }
+  });
+
+  it('falls back to GITHUB_USERNAME when the key is malformed or forged', () => {
+    const { privateKey: stranger } = crypto.generateKeyPairSync('ed25519');
+    const forged = signLicence({ id: 'L2', sessions: 50, expires: '2030-01-01' }, stranger);
+
+    for (const [PREMIUM_KEY, code] of [['ABCD-1234-EFGH', 'MALFORMED'], ['SPACE-half', 'MALFORMED'], [forged, 'BAD_SIGNATURE']]) {
+      const settings = loadConfig({ PREMIUM_KEY, GITHUB_USERNAME: 'tester' });
+      const state = resolvePremium(settings, options);
+      assert.equal(state.premium, false);
+      assert.equal(state.maxSessions, 1);
+      assert.equal(state.error.code, code);
+    }
+  });
+
+  it('stops startup only when there is no GITHUB_USERNAME to fall back on', () => {
+    const settings = loadConfig({ PREMIUM_KEY: 'ABCD-1234-EFGH' });
+    assert.throws(() => resolvePremium(settings, options), (err) =>
+      err instanceof ConfigError && err.problems.map((p) => p.key).join() === 'PREMIUM_KEY,GITHUB_USERNAME');
+  });
+
+  it('reports a missing licence in the same error as every other bad key', () => {
+    const checks = [(config, problems) => resolvePremium(config, options, problems)];
+    assert.throws(() => loadConfig({ PORT: 'abc', PREMIUM_KEY: 'ABCD-1234-EFGH' }, { checks }), (err) =>
+      err instanceof ConfigError && err.problems.map((p) => p.key).join() === 'PORT,PREMIUM_KEY,GITHUB_USERNAME');
+    //An invalid username is reported once, as invalid
+    assert.throws(() => loadConfig({ GITHUB_USERNAME: '-bad-' }, { checks }), (err) =>
+      err.problems.length === 1 && /is not a valid GitHub username/.test(err.problems[0].message));
+    assert.equal(loadConfig({ PORT: '80', GITHUB_USERNAME: 'tester' }, { checks }).PORT, 80);
+  });
+
+  it('lists every problem on the first start', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./settings')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, PORT: 'abc', PREMIUM_KEY: '', GITHUB_USERNAME: '' },
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Invalid configuration:\n {2}- PORT: expected a whole number, got "abc"\n {2}- GITHUB_USERNAME: is required unless you have a valid PREMIUM_KEY/);
+  });
+
+  it('rejects keys whose payload is valid JSON but not a licence', () => {
+    for (const json of ['null', '42', '"text"', '[1,2]']) {
+      const forged = `SPACE-${Buffer.from(json).toString('base64url')}.c2ln`;
+      assert.throws(() => parseLicence(forged), (err) => err instanceof LicenceError && err.code === 'MALFORMED');
+    }
+    assert.equal(parseLicence(key()).data.id, 'L1');
+  });
+
+  it('explains a rejected key from the licence script', () => {
+    const forged = `SPACE-${Buffer.from('null').toString('base64url')}.c2ln`;
+    const result = spawnSync(process.execPath, ['scripts/licence.js', 'inspect', forged], {
+      cwd: path.join(__dirname, '..'),
+      encoding: 'utf8',
+      timeout: 30000
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Premium key is corrupt, its payload is not a licence/);
+    assert.doesNotMatch(result.stderr, /Cannot convert/);
+  });
+
+  it('unlocks the signed session limit for a valid key', () => {
+    const state = resolvePremium(loadConfig({ PREMIUM_KEY: key() }), options);
+    assert.equal(state.premium, true);
+    assert.equal(state.maxSessions, 3);
+    assert.equal(state.licence.holder, 'Tester');
+  });
+});
+
+describe('watchLicence', () => {
+  it('retries the renewal reminder until it is delivered, then sends it once a day', async () => {
+    let now = Date.parse('2026-06-27T12:00:00Z');
+    let online = false;
+    const attempts = [];
+    const sessions = { maxSessions: 3, list: () => [] };
+    const stop = watchLicence({
+      settings: { PREMIUM_KEY: key() },
+      sessions,
+      logger,
+      publicKey,
+      clock: () => now,
+      interval: 5,
+      notify: async (text) => {
+        attempts.push({ text, delivered: online });
+        return online;
+      }
+    });
+
+    try {
+      //No session is open yet, every check tries again
+      await until(() => attempts.length >= 3);
+      assert.match(attempts[0].text, /expires in 4 day\(s\)/);
+
+      online = true;
+      await until(() => attempts.some((a) => a.delivered));
+      const tried = attempts.length;
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(attempts.length, tried);
+
+      now += DAY + 1;
+      await until(() => attempts.length === tried + 1);
+      assert.match(attempts[tried].text, /expires in 3 day\(s\)/);
+      assert.equal(sessions.maxSessions, 3);
+    } finally {
+      stop();
+    }
+  });
+
+  it('drops to the free limit once the licence lapses', async () => {
+    const stopped = [];
+    const notices = [];
+    const sessions = { maxSessions: 3, list: () => [{ id: 'main' }, { id: 'work' }, { id: 'shop' }], stop: async (id) => stopped.push(id) };
+    const stop = watchLicence({
+      settings: { PREMIUM_KEY: key(), GITHUB_USERNAME: 'tester' },
+      sessions,
+      logger,
+      publicKey,
+      clock: () => Date.parse('2026-07-01T00:00:00Z'),
+      notify: async (text) => notices.push(text)
+    });
+
+    try {
+      await until(() => notices.length);
+      assert.equal(sessions.maxSessions, 1);
+      assert.deepEqual(stopped, ['work', 'shop']);
+      assert.match(notices[0], /lapsed \(Premium key expired on 2026-06-30\).*GITHUB_USERNAME tester, stopped: work, shop$/);
+    } finally {
+      stop();
+    }
+  });
+});
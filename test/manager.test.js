@@ -0,0 +1,203 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const { createDatabase } = require('../lib/database');
+const { SessionManager } = require('../lib/session/manager');
+
+const LOGGED_OUT = 401;
+const RESTART_REQUIRED = 515;
+const TIMED_OUT = 408;
+const CONNECTION_LOST = 428;
+
+const disconnect = (statusCode) => ({ connection: 'close', lastDisconnect: { error: Object.assign(new Error('closed'), { output: { statusCode } }) } });
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+//Hands out fake sockets and remembers them, every (re)connect makes a new one
+function fakeSockets() {
+  const sockets = [];
+  const makeSocket = (options) => {
+    const sock = {
+      options,
+      ev: new EventEmitter(),
+      user: { id: '254700000001:7@s.whatsapp.net' },
+      ended: false,
+      loggedOut: false,
+      end() { this.ended = true; },
+      async logout() { this.loggedOut = true; },
+      //Like Baileys, saves creds.me before the code has been entered on the phone
+      async requestPairingCode(phone) {
+        options.auth.creds.me = { id: `${phone}@s.whatsapp.net`, name: '~' };
+        this.ev.emit('creds.update', options.auth.creds);
+        return `CODE-${phone}`;
+      }
+    };
+    sockets.push(sock);
+    return sock;
+  };
+  return { sockets, makeSocket, last: () => sockets[sockets.length - 1] };
+}
+
+describe('SessionManager', () => {
+  let sequelize;
+  let fake;
+  let manager;
+
+  //Stores credentials as a finished pairing (QR or code) leaves them, registered stays false after a QR scan
+  const storePaired = (id, creds = { me: { id: '254700000001:7@s.whatsapp.net' }, account: { details: Buffer.from('signed') }, registered: false }) =>
+    manager.AuthState.create({ session: id, key: 'creds', value: JSON.stringify(creds, BufferJSON.replacer) });
+
+  beforeEach(async () => {
+    sequelize = createDatabase({ storage: ':memory:' });
+    fake = fakeSockets();
+    manager = new SessionManager({ sequelize, maxSessions: 2, makeSocket: fake.makeSocket, backoff: { initial: 10, max: 40 } });
+    await manager.init();
+  });
+
+  afterEach(async () => {
+    await manager.stopAll();
+    await sequelize.close();
+  });
+
+  it('reconnects a QR paired session after an ordinary disconnect', async () => {
+    await storePaired('main');
+    await manager.start('main');
+
+    for (const statusCode of [TIMED_OUT, CONNECTION_LOST]) {
+      const before = fake.sockets.length;
+      fake.last().ev.emit('connection.update', disconnect(statusCode));
+      assert.equal(manager.list()[0].status, 'reconnecting');
+      await wait(60);
+      assert.equal(fake.sockets.length, before + 1);
+    }
+  });
+
+  it('drops a session whose pairing never finished', async () => {
+    const failed = new Promise((resolve) => manager.once('pairing-failed', resolve));
+    await manager.start('fresh');
+
+    fake.last().ev.emit('connection.update', disconnect(TIMED_OUT));
+    assert.deepEqual(manager.list(), []);
+    assert.equal(await failed, 'fresh');
+  });
+
+  it('drops an abandoned pairing code attempt and forgets its credentials', async () => {
+    const failed = new Promise((resolve) => manager.once('pairing-failed', resolve));
+    await manager.start('254700000002');
+    const code = manager.requestPairingCode('254700000002', '254700000002');
+    fake.last().ev.emit('connection.update', { qr: 'QR-DATA' });
+    assert.equal(await code, 'CODE-254700000002');
+    await wait(10);
+    assert.equal(await manager.hasStoredSession('254700000002'), true);
+
+    //The code was never entered, WhatsApp closes the connection
+    fake.last().ev.emit('connection.update', disconnect(TIMED_OUT));
+    assert.equal(await failed, '254700000002');
+    assert.deepEqual(manager.list(), []);
+    assert.equal(await manager.hasStoredSession('254700000002'), false);
+
+    await manager.restore();
+    assert.deepEqual(manager.list(), []);
+    await wait(60);
+    assert.equal(fake.sockets.length, 1);
+  });
+
+  it('refuses a pairing code for a session that is already paired by QR', async () => {
+    await storePaired('main');
+    await manager.start('main');
+    await assert.rejects(manager.requestPairingCode('main', '254700000001'), { code: 'ALREADY_PAIRED' });
+  });
+
+  it('enforces the session limit and valid, unique ids', async () => {
+    await manager.start('one');
+    await assert.rejects(manager.start('one'), { code: 'ALREADY_RUNNING' });
+    await assert.rejects(manager.start('bad id!'), { code: 'INVALID_ID' });
+    await manager.start('two');
+    await assert.rejects(manager.start('three'), { code: 'LIMIT_REACHED' });
+
+    await manager.stop('two');
+    assert.equal(fake.sockets[1].ended, true);
+    await manager.start('three');
+    assert.deepEqual(manager.list().map((s) => s.id), ['one', 'three']);
+  });
+
+  it('restores stored sessions up to the limit', async () => {
+    for (const id of ['a', 'b', 'c']) await storePaired(id);
+    await manager.restore();
+    assert.deepEqual(manager.list().map((s) => s.id), ['a', 'b']);
+    assert.equal(await manager.hasStoredSession('c'), true);
+  });
+
+  it('backs off exponentially with jitter up to the maximum', () => {
+    for (let attempts = 0; attempts < 6; attempts++) {
+      const base = Math.min(40, 10 * 2 ** attempts);
+      for (let i = 0; i < 20; i++) {
+        const delay = manager._delay(attempts);
+        assert.ok(delay >= base / 2 && delay <= base, `attempt ${attempts}: ${delay}ms`);
+      }
+    }
+  });
+
+  it('counts reconnect attempts until the connection opens again', async () => {
+    const opened = [];
+    manager.on('open', (id) => opened.push(id));
+    await storePaired('main');
+    await manager.start('main');
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      fake.last().ev.emit('connection.update', disconnect(CONNECTION_LOST));
+      assert.equal(manager.list()[0].attempts, attempt);
+      await wait(60);
+    }
+    assert.equal(fake.sockets.length, 4);
+
+    //Updates from a replaced socket are ignored
+    fake.sockets[0].ev.emit('connection.update', { connection: 'open' });
+    assert.deepEqual(opened, []);
+
+    fake.last().ev.emit('connection.update', { connection: 'open' });
+    assert.deepEqual(opened, ['main']);
+    assert.deepEqual(manager.list()[0], { id: 'main', status: 'open', user: fake.last().user, attempts: 0, lastError: null });
+  });
+
+  it('restarts straight away when WhatsApp asks for a restart after pairing', async () => {
+    await manager.start('fresh');
+    fake.last().ev.emit('connection.update', { qr: 'QR-DATA' });
+    assert.equal(manager.getQr('fresh'), 'QR-DATA');
+
+    fake.last().ev.emit('connection.update', disconnect(RESTART_REQUIRED));
+    await wait(5);
+    assert.equal(fake.sockets.length, 2);
+  });
+
+  it('removes stored credentials when WhatsApp logs the session out', async () => {
+    const loggedOut = new Promise((resolve) => manager.once('logout', resolve));
+    await storePaired('main');
+    await manager.start('main');
+
+    fake.last().ev.emit('connection.update', disconnect(LOGGED_OUT));
+    assert.equal(await loggedOut, 'main');
+    assert.deepEqual(manager.list(), []);
+    assert.equal(await manager.hasStoredSession('main'), false);
+    await wait(60);
+    assert.equal(fake.sockets.length, 1);
+  });
+
+  it('logs out and forgets a session on request', async () => {
+    await storePaired('main');
+    await manager.start('main');
+    await manager.stop('main', { logout: true });
+
+    assert.equal(fake.last().loggedOut, true);
+    assert.equal(await manager.hasStoredSession('main'), false);
+    await assert.rejects(manager.stop('main'), { code: 'NOT_RUNNING' });
+  });
+
+  it('hands out a pairing code once the socket is waiting for a scan', async () => {
+    await manager.start('fresh');
+    const code = manager.requestPairingCode('fresh', '254700000001');
+    fake.last().ev.emit('connection.update', { qr: 'QR-DATA' });
+    assert.equal(await code, 'CODE-254700000001');
+    await assert.rejects(manager.requestPairingCode('missing', '254700000001'), { code: 'NOT_RUNNING' });
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const FileType = require('file-type');
+const webp = require('node-webpmux');
+const pino = require('pino');
+const { MediaPipeline, addStickerExif, readStickerExif } = require('../lib/media/pipeline');
+const { JobQueue } = require('../lib/media/queue');
+const { withTempDir } = require('../lib/media/temp');
+const { CommandRouter } = require('../lib/commands/router');
+const { createContext, createMockContext } = require('../lib/commands/context');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+//The Dockerfile installs these, a bare checkout may not have them
+const has = (command, arg) => {
+  try {
+    execFileSync(command, [arg], { stdio: 'ignore' });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+const noFfmpeg = !(has('ffmpeg', '-version') && has('ffprobe', '-version')) && 'ffmpeg is not installed';
+const noImagemagick = (noFfmpeg || !has('convert', '-version')) && 'ffmpeg or imagemagick is not installed';
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => err.name === 'MediaError' && err.code === code);
+
+async function stickerInfo(buffer) {
+  const image = new webp.Image();
+  await image.load(buffer);
+  return { width: image.width, height: image.height, animated: image.hasAnim };
+}
+
+describe('JobQueue', () => {
+  it('never runs more than `concurrency` jobs at once', async () => {
+    const queue = new JobQueue({ concurrency: 2, maxPending: 10 });
+    let running = 0;
+    let peak = 0;
+    const job = async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      running -= 1;
+    };
+    await Promise.all(Array.from({ length: 6 }, () => queue.run(job)));
+    assert.equal(peak, 2);
+    assert.deepEqual(queue.size, { running: 0, pending: 0 });
+  });
+
+  it('refuses jobs with BUSY once the backlog is full', async () => {
+    const queue = new JobQueue({ concurrency: 1, maxPending: 2 });
+    let release;
+    const blocker = new Promise((resolve) => { release = resolve; });
+    const jobs = [queue.run(() => blocker), queue.run(async () => 'a'), queue.run(async () => 'b')];
+
+    await rejectsWith(queue.run(async () => 'c'), 'BUSY');
+    release('first');
+    assert.deepEqual(await Promise.all(jobs), ['first', 'a', 'b']);
+  });
+
+  it('keeps going after a job fails', async () => {
+    const queue = new JobQueue({ concurrency: 1 });
+    await assert.rejects(queue.run(async () => { throw new Error('nope'); }), /nope/);
+    assert.equal(await queue.run(async () => 'ok'), 'ok');
+  });
+});
+
+describe('withTempDir', () => {
+  it('removes the directory when the job throws', async () => {
+    let used;
+    await assert.rejects(withTempDir(async (dir) => {
+      used = dir;
+      fs.writeFileSync(path.join(dir, 'partial.webp'), 'half written');
+      throw new Error('ffmpeg died');
+    }), /ffmpeg died/);
+    assert.equal(fs.existsSync(used), false);
+  });
+
+  it('removes the directory after a successful job', async () => {
+    let used;
+    assert.equal(await withTempDir(async (dir) => { used = dir; return 42; }), 42);
+    assert.equal(fs.existsSync(used), false);
+  });
+});
+
+describe('MediaPipeline', () => {
+  const media = new MediaPipeline({ stickerPack: 'Default pack', stickerAuthor: 'Default author' });
+
+  it('rejects empty, oversized and unknown input before converting', async () => {
+    await rejectsWith(media.inspect(Buffer.alloc(0)), 'EMPTY');
+    await rejectsWith(new MediaPipeline({ limits: { maxInputBytes: 100 } }).inspect(fixture('video.mp4')), 'TOO_LARGE');
+    await rejectsWith(media.inspect(Buffer.from('just some text, not media')), 'UNSUPPORTED');
+    assert.equal((await media.inspect(fixture('image.png'))).kind, 'image');
+  });
+
+  it('writes and reads sticker pack / author EXIF', async () => {
+    const tagged = await addStickerExif(fixture('sticker.webp'), { pack: 'SPACE-MD', author: 'Tester' });
+    assert.deepEqual(await readStickerExif(tagged), { pack: 'SPACE-MD', author: 'Tester' });
+    assert.equal(await readStickerExif(fixture('sticker.webp')), null);
+  });
+
+  it('turns an image into a 512x512 sticker with EXIF', { skip: noFfmpeg }, async () => {
+    const sticker = await media.toSticker(fixture('image.png'), { pack: 'Pack', author: 'Me' });
+    assert.equal((await FileType.fromBuffer(sticker)).mime, 'image/webp');
+    assert.deepEqual(await stickerInfo(sticker), { width: 512, height: 512, animated: false });
+    assert.deepEqual(await readStickerExif(sticker), { pack: 'Pack', author: 'Me' });
+  });
+
+  it('turns a video into an animated sticker with the default pack', { skip: noFfmpeg }, async () => {
+    const sticker = await media.toSticker(fixture('video.mp4'));
+    assert.equal((await stickerInfo(sticker)).animated, true);
+    assert.ok(sticker.length <= media.limits.maxStickerBytes);
+    assert.deepEqual(await readStickerExif(sticker), { pack: 'Default pack', author: 'Default author' });
+  });
+
+  it('refuses audio as a sticker', async () => {
+    await rejectsWith(media.toSticker(fixture('audio.mp3')), 'UNSUPPORTED');
+  });
+
+  it('turns a static sticker back into a png', { skip: noFfmpeg }, async () => {
+    const result = await media.stickerToImage(fixture('sticker.webp'));
+    assert.equal(result.type, 'image');
+    assert.equal((await FileType.fromBuffer(result.buffer)).mime, 'image/png');
+    await rejectsWith(media.stickerToImage(fixture('image.png')), 'UNSUPPORTED');
+  });
+
+  it('turns an animated sticker into a gif or an mp4', { skip: noImagemagick }, async () => {
+    const sticker = await media.toSticker(fixture('video.mp4'));
+    const gif = await media.stickerToImage(sticker, { animatedFormat: 'gif' });
+    assert.equal((await FileType.fromBuffer(gif.buffer)).mime, 'image/gif');
+    const video = await media.stickerToImage(sticker);
+    assert.equal((await FileType.fromBuffer(video.buffer)).mime, 'video/mp4');
+  });
+
+  it('turns audio and video into opus voice notes', { skip: noFfmpeg }, async () => {
+    for (const name of ['audio.mp3', 'video.mp4']) {
+      const voice = await media.toVoiceNote(fixture(name));
+      assert.equal(voice.mimetype, 'audio/ogg; codecs=opus');
+      assert.match((await FileType.fromBuffer(voice.buffer)).mime, /^audio\/(ogg|opus)$/);
+    }
+    await rejectsWith(media.toVoiceNote(fixture('image.png')), 'UNSUPPORTED');
+  });
+
+  it('refuses audio longer than the limit', { skip: noFfmpeg }, async () => {
+    const short = new MediaPipeline({ limits: { maxAudioSeconds: 1 } });
+    await rejectsWith(short.toVoiceNote(fixture('audio.mp3')), 'TOO_LONG');
+  });
+
+  it('reads text out with an injected speech provider', { skip: noFfmpeg }, async () => {
+    const asked = [];
+    const speech = async (text, lang) => {
+      asked.push([text, lang]);
+      return fixture('audio.mp3');
+    };
+    const offline = new MediaPipeline({ speech });
+
+    const voice = await offline.textToSpeech(' Bonjour ', { lang: 'fr' });
+    assert.equal(voice.mimetype, 'audio/ogg; codecs=opus');
+    const mp3 = await offline.textToSpeech('hello', { asVoiceNote: false });
+    assert.equal(mp3.mimetype, 'audio/mpeg');
+    assert.deepEqual(asked, [['Bonjour', 'fr'], ['hello', 'en']]);
+
+    await rejectsWith(offline.textToSpeech('  '), 'EMPTY');
+    await rejectsWith(offline.textToSpeech('x'.repeat(offline.limits.maxTtsChars + 1)), 'TOO_LARGE');
+    await rejectsWith(offline.textToSpeech('you are great', { lang: 'you' }), 'UNSUPPORTED');
+    assert.equal(asked.length, 2);
+  });
+
+  it('refuses oversized or overlong media from what the message announces, before downloading', async () => {
+    const context = (message) => createContext({
+      sock: { user: { id: '254700000001@s.whatsapp.net' } },
+      session: 'main',
+      msg: { key: { remoteJid: '254722222222@s.whatsapp.net', id: 'BIG' }, message },
+      settings: { BOT_ADMIN: '254712345678' },
+      services: { media }
+    });
+
+    await rejectsWith(context({ videoMessage: { fileLength: 500 * 1024 * 1024, seconds: 30 } }).downloadMedia(), 'TOO_LARGE');
+    await rejectsWith(context({ audioMessage: { fileLength: 1024, seconds: 3600 } }).downloadMedia(), 'TOO_LONG');
+    //Replying to an oversized video is checked the same way
+    await rejectsWith(context({
+      extendedTextMessage: {
+        text: '.sticker',
+        contextInfo: { stanzaId: 'Q', participant: '254733333333@s.whatsapp.net', quotedMessage: { videoMessage: { fileLength: 300 * 1024 * 1024 } } }
+      }
+    }).downloadMedia(), 'TOO_LARGE');
+    assert.equal(await context({ conversation: 'no media here' }).downloadMedia(), null);
+  });
+
+  it('shrinks images to fit without upscaling', async () => {
+    const small = await media.resizeImage(fixture('image.png'), { width: 48, height: 48 });
+    assert.deepEqual([small.width, small.height, small.mimetype], [48, 32, 'image/jpeg']);
+    assert.equal((await FileType.fromBuffer(small.buffer)).mime, 'image/jpeg');
+
+    const same = await media.resizeImage(fixture('image.png'));
+    assert.deepEqual([same.width, same.height], [96, 64]);
+    await rejectsWith(media.resizeImage(fixture('sticker.webp')), 'UNSUPPORTED');
+  });
+});
+
+describe('tts plugin', () => {
+  it('only switches language on an explicit lang: prefix', async () => {
+    const asked = [];
+    const media = { textToSpeech: async (text, { lang }) => { asked.push([text, lang]); return { buffer: Buffer.from('ogg'), mimetype: 'audio/ogg' }; } };
+    const settings = { BOT_ADMIN: '254712345678', PREFIX: '.' };
+    const router = new CommandRouter({ settings, logger: pino({ level: 'silent' }) });
+    router.loadFile(path.join(__dirname, '..', 'plugins', 'tts.js'));
+
+    for (const text of ['.tts hi everyone', '.tts you are great', '.tts lang:FR Bonjour', '.say lang:zh-cn 你好']) {
+      await router.dispatch(createMockContext({ text, settings, services: { media }, isOwner: true }));
+    }
+    assert.deepEqual(asked, [['hi everyone', 'en'], ['you are great', 'en'], ['Bonjour', 'fr'], ['你好', 'zh-CN']]);
+  });
+});
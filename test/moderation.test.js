@@ -0,0 +1,217 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const pino = require('pino');
+const { createDatabase } = require('../lib/database');
+const { ModerationEngine } = require('../lib/moderation/engine');
+const { FloodDetector, checkMessage, findLinks, normalizeDomain, renderTemplate } = require('../lib/moderation/rules');
+
+const GROUP = '120363000000000000@g.us';
+const BOT = '254700000001';
+const ADMIN = '254711111111';
+const MEMBER = '254722222222';
+const settings = { BOT_ADMIN: '254712345678', PREFIX: '.' };
+
+const policy = (fields) => ({
+  session: 'main',
+  groupId: GROUP,
+  antilink: false,
+  allowlist: [],
+  antiflood: false,
+  floodMessages: 6,
+  floodWindow: 10,
+  ...fields
+});
+
+//Runs [sender, text, seconds] messages through the rules and returns the rule each one broke
+function stream(rules, messages, flood = new FloodDetector()) {
+  return messages.map(([sender, text, seconds]) => checkMessage(rules, { sender, text, timestamp: seconds * 1000 }, flood)?.rule || null);
+}
+
+//Records what the engine sends, the bot is a group admin unless botIsAdmin is false
+function fakeSocket({ botIsAdmin = true } = {}) {
+  const sent = [];
+  const removed = [];
+  return {
+    user: { id: `${BOT}:4@s.whatsapp.net` },
+    ev: new EventEmitter(),
+    sent,
+    removed,
+    sendMessage: async (jid, content) => { sent.push({ jid, ...content }); },
+    groupParticipantsUpdate: async (jid, participants, action) => { removed.push(...participants.map((p) => [p, action])); },
+    groupMetadata: async () => ({
+      id: GROUP,
+      subject: 'Test group',
+      desc: 'Be nice',
+      participants: [
+        { id: `${BOT}@s.whatsapp.net`, admin: botIsAdmin ? 'admin' : null },
+        { id: `${ADMIN}@s.whatsapp.net`, admin: 'superadmin' },
+        { id: `${MEMBER}@s.whatsapp.net`, admin: null }
+      ]
+    })
+  };
+}
+
+const message = (sender, text, seconds) => ({
+  key: { remoteJid: GROUP, id: `${sender}-${seconds}-${text.length}`, participant: `${sender}@s.whatsapp.net` },
+  message: { conversation: text },
+  messageTimestamp: seconds
+});
+
+describe('moderation rules', () => {
+  it('finds links with and without a scheme but not file names or numbers', () => {
+    assert.deepEqual(
+      findLinks('see https://Spam.example/x, www.foo.io and chat.whatsapp.com/AbC but not node.js or 3.14'),
+      ['spam.example', 'foo.io', 'chat.whatsapp.com']
+    );
+    assert.equal(normalizeDomain('https://www.YouTube.com/watch?v=1'), 'youtube.com');
+    assert.equal(normalizeDomain('not a domain'), null);
+  });
+
+  it('lets allowlisted domains and their subdomains through', () => {
+    const rules = policy({ antilink: true, allowlist: ['youtube.com'] });
+    assert.deepEqual(stream(rules, [
+      [MEMBER, 'https://youtube.com/watch?v=1', 1],
+      [MEMBER, 'https://m.youtube.com/watch?v=1', 2],
+      [MEMBER, 'https://notyoutube.com', 3],
+      [MEMBER, 'youtube.com.evil.net', 4],
+      [MEMBER, 'just chatting', 5]
+    ]), [null, null, 'antilink', 'antilink', null]);
+  });
+
+  it('ignores links when antilink is off', () => {
+    assert.deepEqual(stream(policy(), [[MEMBER, 'https://spam.example', 1]]), [null]);
+  });
+
+  it('flags one burst once and counts every sender separately', () => {
+    const rules = policy({ antiflood: true, floodMessages: 3, floodWindow: 5 });
+    const burst = [0, 1, 1, 2, 2, 3].map((second) => [MEMBER, 'hi', second]);
+    assert.deepEqual(stream(rules, burst), [null, null, null, 'antiflood', null, null]);
+
+    //Interleaved senders each stay under the limit
+    const chat = [0, 1, 2].flatMap((second) => [[MEMBER, 'hi', second], [ADMIN, 'hey', second]]);
+    assert.deepEqual(stream(rules, chat), Array(6).fill(null));
+  });
+
+  it('only counts messages inside the window', () => {
+    const rules = policy({ antiflood: true, floodMessages: 3, floodWindow: 5 });
+    const flood = new FloodDetector();
+    //Steady chatting every 2 seconds never floods
+    assert.deepEqual(stream(rules, [0, 2, 4, 6, 8, 10, 12].map((s) => [MEMBER, 'hi', s]), flood), Array(7).fill(null));
+    //A new burst after a quiet spell is flagged again
+    assert.deepEqual(stream(rules, [100, 100, 100, 101].map((s) => [MEMBER, 'hi', s]), flood), [null, null, null, 'antiflood']);
+  });
+
+  it('uses the injected clock when messages carry no timestamp', () => {
+    let now = 0;
+    const flood = new FloodDetector({ clock: () => now });
+    const limits = { messages: 2, window: 10 };
+    assert.equal(flood.hit('a', limits), false);
+    now = 20 * 1000;
+    assert.equal(flood.hit('a', limits), false);
+    assert.equal(flood.hit('a', limits), false);
+    assert.equal(flood.hit('a', limits), true);
+  });
+
+  it('fills known template placeholders and keeps unknown ones', () => {
+    assert.equal(
+      renderTemplate('Welcome {user} to {group}, member #{count}. {desc} {missing}', { user: '@1', group: 'G', count: 3, desc: '' }),
+      'Welcome @1 to G, member #3.  {missing}'
+    );
+  });
+});
+
+describe('ModerationEngine', () => {
+  let sequelize;
+  let sessions;
+  let engine;
+
+  beforeEach(async () => {
+    sequelize = createDatabase({ storage: ':memory:' });
+    sessions = Object.assign(new EventEmitter(), { list: () => [], get: () => null });
+    engine = new ModerationEngine({ sequelize, sessions, settings, logger: pino({ level: 'silent' }) });
+    await engine.start();
+  });
+
+  afterEach(async () => {
+    engine.stop();
+    await sequelize.close();
+  });
+
+  it('deletes links and removes the member at the warning limit when the bot is admin', async () => {
+    const sock = fakeSocket();
+    await engine.updatePolicy('main', GROUP, { antilink: true, warnLimit: 3 });
+
+    for (let i = 1; i <= 3; i++) {
+      assert.equal((await engine.handleMessage('main', sock, message(MEMBER, `buy at spam${i}.com`, i))).rule, 'antilink');
+    }
+
+    assert.equal(sock.sent.filter((m) => m.delete).length, 3);
+    assert.deepEqual(sock.removed, [[`${MEMBER}@s.whatsapp.net`, 'remove']]);
+    const group = sock.sent.filter((m) => m.jid === GROUP && m.text).map((m) => m.text);
+    assert.deepEqual(group, [
+      `⚠️ @${MEMBER} sent a link (spam1.com). Warning 1/3.`,
+      `⚠️ @${MEMBER} sent a link (spam2.com). Warning 2/3.`,
+      `🚫 @${MEMBER} sent a link (spam3.com) and was removed after 3 warnings.`
+    ]);
+    //Every action is logged to BOT_ADMIN, the count starts again after removal
+    assert.equal(sock.sent.filter((m) => m.jid === `${settings.BOT_ADMIN}@s.whatsapp.net`).length, 3);
+    assert.equal(await engine.warnings('main', GROUP, MEMBER), 0);
+  });
+
+  it('keeps warning without removing when the bot is not admin', async () => {
+    const sock = fakeSocket({ botIsAdmin: false });
+    await engine.updatePolicy('main', GROUP, { antilink: true, warnLimit: 2 });
+
+    await engine.handleMessage('main', sock, message(MEMBER, 'https://spam.example', 1));
+    const result = await engine.warn('main', sock, GROUP, `${MEMBER}@s.whatsapp.net`, 'was warned by an admin');
+
+    assert.deepEqual(result, { count: 2, limit: 2, removed: false });
+    assert.deepEqual(sock.removed, []);
+    assert.equal(sock.sent.filter((m) => m.delete).length, 0);
+    assert.match(sock.sent.filter((m) => m.jid === GROUP).pop().text, /make me an admin/);
+    assert.equal(await engine.warnings('main', GROUP, MEMBER), 2);
+  });
+
+  it('warns once per flood burst and never acts on admins or the owner', async () => {
+    const sock = fakeSocket();
+    await engine.updatePolicy('main', GROUP, { antilink: true, antiflood: true, floodMessages: 3, floodWindow: 5 });
+
+    const rules = [];
+    for (const second of [0, 0, 1, 1, 2, 2, 3]) rules.push((await engine.handleMessage('main', sock, message(MEMBER, 'hi', second)))?.rule || null);
+    assert.deepEqual(rules, [null, null, null, 'antiflood', null, null, null]);
+    assert.equal(await engine.warnings('main', GROUP, MEMBER), 1);
+
+    assert.equal(await engine.handleMessage('main', sock, message(ADMIN, 'https://spam.example', 10)), null);
+    assert.equal(await engine.handleMessage('main', sock, message(settings.BOT_ADMIN, 'https://spam.example', 11)), null);
+  });
+
+  it('serialises concurrent warnings for one member', async () => {
+    const sock = fakeSocket();
+    await engine.updatePolicy('main', GROUP, { warnLimit: 5 });
+    const results = await Promise.all([1, 2, 3].map(() => engine.warn('main', sock, GROUP, `${MEMBER}@s.whatsapp.net`, 'spam')));
+    assert.deepEqual(results.map((r) => r.count), [1, 2, 3]);
+  });
+
+  it('sends templated welcome and goodbye messages', async () => {
+    const sock = fakeSocket();
+    await engine.updatePolicy('main', GROUP, { welcome: true, welcomeText: 'Hi {user}, welcome to {group} ({count})', goodbye: true });
+
+    await engine.handleParticipants('main', sock, { id: GROUP, participants: ['254744444444@s.whatsapp.net'], action: 'add' });
+    await engine.handleParticipants('main', sock, { id: GROUP, participants: ['254744444444@s.whatsapp.net'], action: 'remove' });
+    await engine.handleParticipants('main', sock, { id: GROUP, participants: ['254744444444@s.whatsapp.net'], action: 'promote' });
+
+    assert.deepEqual(sock.sent.map((m) => m.text), ['Hi @254744444444, welcome to Test group (3)', 'Goodbye @254744444444 👋']);
+    assert.deepEqual(sock.sent[0].mentions, ['254744444444@s.whatsapp.net']);
+  });
+
+  it('keeps policies across restarts', async () => {
+    await engine.updatePolicy('main', GROUP, { antilink: true, allowlist: ['github.com'] });
+    const restarted = new ModerationEngine({ sequelize, sessions, settings, logger: pino({ level: 'silent' }) });
+    await restarted.start();
+    assert.equal(restarted.policy('main', GROUP).antilink, true);
+    assert.deepEqual(restarted.policy('main', GROUP).allowlist, ['github.com']);
+    assert.equal(restarted.policy('other', GROUP).antilink, false);
+    restarted.stop();
+  });
+});
@@ -0,0 +1,184 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const EventEmitter = require('events');
+const pino = require('pino');
+const { CommandRouter, PluginError, normalizePlugin } = require('../lib/commands/router');
+const { createMockContext } = require('../lib/commands/context');
+
+const settings = { BOT_ADMIN: '254712345678', PREFIX: '.!' };
+const logger = pino({ level: 'silent' });
+
+function plugin(fields) {
+  return normalizePlugin({ run: async (ctx) => ctx.reply(`ran ${ctx.command}`), ...fields }, `${fields.name}.js`);
+}
+
+function context(options) {
+  return createMockContext({ settings, ...options });
+}
+
+describe('CommandRouter', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new CommandRouter({ settings, logger });
+  });
+
+  it('parses every configured prefix and keeps the raw argument text', () => {
+    assert.deepEqual(router.parse('.Echo  hello   world'), {
+      prefix: '.',
+      name: 'echo',
+      args: ['hello', 'world'],
+      argText: 'hello   world'
+    });
+    assert.equal(router.parse('!echo').prefix, '!');
+    assert.equal(router.parse('echo'), null);
+    assert.equal(router.parse('. '), null);
+  });
+
+  it('dispatches aliases to the plugin and ignores unknown commands', async () => {
+    router.register(plugin({ name: 'ping', aliases: ['p'] }));
+
+    const ctx = context({ text: '.p extra' });
+    assert.equal(await router.dispatch(ctx), true);
+    assert.deepEqual(ctx.replies, [{ text: 'ran ping' }]);
+    assert.equal(ctx.name, 'p');
+    assert.deepEqual(ctx.args, ['extra']);
+
+    const unknown = context({ text: '.nope' });
+    assert.equal(await router.dispatch(unknown), false);
+    assert.deepEqual(unknown.replies, []);
+  });
+
+  it('rejects a plugin whose name or alias is already taken', () => {
+    router.register(plugin({ name: 'ping', aliases: ['p'] }));
+    assert.throws(() => router.register(plugin({ name: 'pong', aliases: ['p'] })), PluginError);
+  });
+
+  it('lets only the owner run owner commands', async () => {
+    router.register(plugin({ name: 'secret', permission: 'owner' }));
+
+    const stranger = context({ text: '.secret' });
+    await router.dispatch(stranger);
+    assert.deepEqual(stranger.replies, [{ text: 'This command is for the bot owner only.' }]);
+
+    const owner = context({ text: '.secret', sender: settings.BOT_ADMIN });
+    await router.dispatch(owner);
+    assert.deepEqual(owner.replies, [{ text: 'ran secret' }]);
+  });
+
+  it('lets group admins and the owner run admin commands', async () => {
+    router.register(plugin({ name: 'kick', permission: 'admin' }));
+
+    const member = context({ text: '.kick', isGroup: true, groupAdmins: ['254711111111'] });
+    await router.dispatch(member);
+    assert.deepEqual(member.replies, [{ text: 'This command is for group admins only.' }]);
+
+    const admin = context({ text: '.kick', isGroup: true, sender: '254711111111', groupAdmins: ['254711111111'] });
+    await router.dispatch(admin);
+    assert.deepEqual(admin.replies, [{ text: 'ran kick' }]);
+
+    const owner = context({ text: '.kick', isGroup: true, sender: settings.BOT_ADMIN });
+    await router.dispatch(owner);
+    assert.deepEqual(owner.replies, [{ text: 'ran kick' }]);
+
+    //Nobody is a group admin in a private chat
+    const direct = context({ text: '.kick', sender: '254711111111', groupAdmins: ['254711111111'] });
+    await router.dispatch(direct);
+    assert.deepEqual(direct.replies, [{ text: 'This command is for group admins only.' }]);
+  });
+
+  it('lets everyone run everyone commands', async () => {
+    router.register(plugin({ name: 'hello' }));
+    const ctx = context({ text: '.hello', isGroup: true });
+    await router.dispatch(ctx);
+    assert.deepEqual(ctx.replies, [{ text: 'ran hello' }]);
+  });
+
+  it('refuses group-only commands outside groups and private-only commands inside them', async () => {
+    router.register(plugin({ name: 'tagall', chat: 'group' }));
+    router.register(plugin({ name: 'pair', chat: 'private' }));
+
+    const direct = context({ text: '.tagall' });
+    await router.dispatch(direct);
+    assert.deepEqual(direct.replies, [{ text: 'This command can only be used in groups.' }]);
+
+    const group = context({ text: '.pair', isGroup: true });
+    await router.dispatch(group);
+    assert.deepEqual(group.replies, [{ text: 'This command can only be used in a private chat.' }]);
+
+    const telegram = [];
+    await router.handleTelegram({ text: '.tagall', reply: async (text) => telegram.push(text) });
+    assert.deepEqual(telegram, ['This command only works inside a WhatsApp group.']);
+  });
+
+  it('applies cooldowns per sender and never to the owner', async () => {
+    router.register(plugin({ name: 'sticker', cooldown: 30 }));
+
+    const first = context({ text: '.sticker' });
+    await router.dispatch(first);
+    assert.deepEqual(first.replies, [{ text: 'ran sticker' }]);
+
+    const second = context({ text: '.sticker' });
+    await router.dispatch(second);
+    assert.match(second.replies[0].text, /^Slow down, you can use \.sticker again in 30s\.$/);
+
+    const other = context({ text: '.sticker', sender: '254722222222' });
+    await router.dispatch(other);
+    assert.deepEqual(other.replies, [{ text: 'ran sticker' }]);
+
+    for (let i = 0; i < 2; i++) {
+      const owner = context({ text: '.sticker', sender: settings.BOT_ADMIN });
+      await router.dispatch(owner);
+      assert.deepEqual(owner.replies, [{ text: 'ran sticker' }]);
+    }
+  });
+
+  it('reports a throwing plugin and keeps dispatching afterwards', async () => {
+    router.register(plugin({ name: 'boom', run: async () => { throw new Error('exploded'); } }));
+    router.register(plugin({ name: 'ping' }));
+
+    const failed = context({ text: '.boom' });
+    assert.equal(await router.dispatch(failed), true);
+    assert.deepEqual(failed.replies, [{ text: '❌ .boom failed: exploded' }]);
+
+    const next = context({ text: '.ping' });
+    await router.dispatch(next);
+    assert.deepEqual(next.replies, [{ text: 'ran ping' }]);
+  });
+
+  it('never runs messages the bot sent itself', async () => {
+    const ran = [];
+    router.register(plugin({ name: 'antidelete', permission: 'owner', run: async (ctx) => ran.push(ctx.isOwner) }));
+
+    const sessions = Object.assign(new EventEmitter(), { list: () => [] });
+    const sock = { user: { id: '254700000001:3@s.whatsapp.net' }, ev: new EventEmitter(), sendMessage: async () => {} };
+    router.attach(sessions);
+    sessions.emit('socket', 'main', sock);
+
+    const message = (id, fromMe) => ({
+      key: { remoteJid: '120363000000000000@g.us', id, fromMe, participant: fromMe ? undefined : '254722222222@s.whatsapp.net' },
+      message: { conversation: '.antidelete off' }
+    });
+    //A welcome text the bot posted, echoed back by Baileys and later re-delivered
+    sock.ev.emit('messages.upsert', { type: 'append', messages: [message('ECHO', true)] });
+    sock.ev.emit('messages.upsert', { type: 'notify', messages: [message('ECHO', true)] });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(ran, []);
+
+    //Typed on the linked phone
+    sock.ev.emit('messages.upsert', { type: 'notify', messages: [message('PHONE', true)] });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(ran, [true]);
+  });
+
+  it('loads every bundled plugin', async () => {
+    const errors = [];
+    router.logger = { info() {}, error: (...args) => errors.push(args) };
+    await router.load(path.join(__dirname, '..', 'plugins'));
+
+    assert.deepEqual(errors, []);
+    assert.ok(router.get('menu'));
+    assert.equal(router.get('help'), router.get('menu'));
+  });
+});
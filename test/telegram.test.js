@@ -0,0 +1,235 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const EventEmitter = require('events');
+const pino = require('pino');
+const { createDatabase } = require('../lib/database');
+const { TelegramBridge } = require('../lib/telegram/bridge');
+
+const settings = { BOT_PASSWORD: 'connect-secret', ADMIN_PASSWORD: 'admin-secret' };
+const CHAT = 4242;
+const CONTACT = '254733333333@s.whatsapp.net';
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+//A local stand-in for api.telegram.org: hands queued updates to getUpdates and records every other call
+function fakeBotApi() {
+  const calls = [];
+  const updates = [];
+  let updateId = 0;
+  let messageId = 100;
+
+  const result = (method, body) => {
+    switch (method) {
+      case 'getMe':
+        return { id: 1, is_bot: true, first_name: 'Space', username: 'space_bot' };
+      case 'deleteWebhook':
+        return true;
+      case 'getUpdates':
+        return updates.splice(0, body.limit || 100);
+      case 'deleteMessage':
+        calls.push({ method, ...body });
+        return true;
+      default: {
+        const sent = { message_id: ++messageId, date: 0, chat: { id: Number(body.chat_id), type: 'private' }, text: body.text };
+        calls.push({ method, ...body, sent });
+        return sent;
+      }
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', async () => {
+      const method = req.url.split('/').pop();
+      const body = raw ? JSON.parse(raw) : {};
+      //Long polling, without the 50 second wait
+      if (method === 'getUpdates' && !updates.length) await wait(20);
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result: result(method, body) }));
+    });
+  });
+
+  return {
+    server,
+    calls,
+    //Queues a message from the test user and returns its message_id
+    push(text, { chat = { id: CHAT, type: 'private' }, reply } = {}) {
+      const command = text.match(/^\/\w+/);
+      const message = {
+        message_id: ++messageId,
+        date: 0,
+        chat,
+        from: { id: 7, is_bot: false, first_name: 'Tester' },
+        text,
+        entities: command ? [{ type: 'bot_command', offset: 0, length: command[0].length }] : undefined,
+        reply_to_message: reply ? { message_id: reply, date: 0, chat } : undefined
+      };
+      updates.push({ update_id: ++updateId, message });
+      return message.message_id;
+    },
+    //Queues a message and resolves with the bot's answer to it
+    send(text, options) {
+      const before = calls.length;
+      this.push(text, options);
+      return this.until(() => calls.slice(before).find((call) => call.method !== 'deleteMessage'));
+    },
+    async until(check) {
+      for (let i = 0; i < 200; i++) {
+        const found = check();
+        if (found) return found;
+        await wait(10);
+      }
+      throw new Error('The bridge never called the Bot API');
+    }
+  };
+}
+
+describe('TelegramBridge', () => {
+  let api;
+  let sequelize;
+  let sessions;
+  let sock;
+  let bridge;
+
+  beforeEach(async () => {
+    api = fakeBotApi();
+    await new Promise((resolve) => api.server.listen(0, '127.0.0.1', resolve));
+
+    sequelize = createDatabase({ storage: ':memory:' });
+    sock = {
+      ev: new EventEmitter(),
+      sent: [],
+      async sendMessage(jid, content, options) {
+        this.sent.push({ jid, content, options });
+        return { key: { remoteJid: jid, id: `OUT${this.sent.length}`, fromMe: true }, message: { conversation: content.text } };
+      }
+    };
+    sessions = Object.assign(new EventEmitter(), {
+      list: () => [{ id: 'main', status: 'open', user: { id: '254700000001:2@s.whatsapp.net' } }],
+      get: (id) => (id === 'main' ? sock : null)
+    });
+    bridge = new TelegramBridge({
+      token: '123:test',
+      apiRoot: `http://127.0.0.1:${api.server.address().port}`,
+      settings,
+      sessions,
+      sequelize,
+      logger: pino({ level: 'silent' })
+    });
+    await bridge.start();
+  });
+
+  afterEach(async () => {
+    bridge.stop();
+    //Let the last getUpdates confirm its offset before the API goes away
+    await wait(50);
+    api.server.closeAllConnections();
+    await new Promise((resolve) => api.server.close(resolve));
+    await sequelize.close();
+  });
+
+  it('links a private chat only with the right password', async () => {
+    assert.equal((await api.send('/sessions')).text, 'Link this chat first with /link <BOT_PASSWORD>.');
+    assert.equal((await api.send('/link wrong')).text, 'Wrong password.');
+
+    const linked = await api.send('/link connect-secret');
+    assert.match(linked.text, /^Chat linked\./);
+    //The password message is deleted from the chat
+    assert.ok(api.calls.some((call) => call.method === 'deleteMessage'));
+    assert.equal(bridge.roleOf(CHAT), 'connect');
+    assert.equal(await bridge.models.TelegramLink.count(), 1);
+
+    assert.equal((await api.send('/sessions')).text, 'main: open (+254700000001)');
+    assert.equal((await api.send('/forward main 254733333333')).text, 'This needs /admin <ADMIN_PASSWORD> first.');
+
+    const group = await api.send('/link connect-secret', { chat: { id: -100, type: 'group' } });
+    assert.equal(group.text, 'Send passwords to the bot in a private chat only.');
+    assert.equal(bridge.roleOf(-100), null);
+  });
+
+  it('locks out repeated wrong passwords', async () => {
+    for (let i = 0; i < 5; i++) await api.send('/link wrong');
+    assert.match((await api.send('/link connect-secret')).text, /^Too many attempts/);
+    assert.equal(bridge.roleOf(CHAT), null);
+  });
+
+  it('mirrors a forwarded WhatsApp chat both ways, replies included', async () => {
+    await api.send('/admin admin-secret');
+    assert.equal((await api.send('/forward main 254733333333')).text, `Mirroring ${CONTACT} from session main in this chat.`);
+    assert.equal((await api.send('/forwards')).text, `main: ${CONTACT}`);
+
+    //WhatsApp to Telegram
+    const before = api.calls.length;
+    sock.ev.emit('messages.upsert', { type: 'notify', messages: [{ key: { remoteJid: CONTACT, id: 'IN1' }, pushName: 'Bob', message: { conversation: 'hi from WhatsApp' } }] });
+    const mirrored = await api.until(() => api.calls.slice(before).find((call) => call.method === 'sendMessage'));
+    assert.equal(mirrored.chat_id, String(CHAT));
+    assert.equal(mirrored.text, 'Bob · 254733333333\nhi from WhatsApp');
+
+    //Unforwarded chats and other message types stay out of Telegram
+    sock.ev.emit('messages.upsert', { type: 'notify', messages: [{ key: { remoteJid: '254744444444@s.whatsapp.net', id: 'IN2' }, message: { conversation: 'private' } }] });
+    sock.ev.emit('messages.upsert', { type: 'append', messages: [{ key: { remoteJid: CONTACT, id: 'IN3' }, message: { conversation: 'history' } }] });
+
+    //Telegram to WhatsApp, as a reply to the mirrored message
+    const answer = api.push('hi from Telegram', { reply: mirrored.sent.message_id });
+    await api.until(() => sock.sent.length);
+    assert.equal(sock.sent[0].jid, CONTACT);
+    assert.deepEqual(sock.sent[0].content, { text: 'hi from Telegram' });
+    assert.equal(sock.sent[0].options.quoted.key.id, 'IN1');
+
+    //The bridge's own WhatsApp message is not mirrored back
+    const echoed = api.calls.length;
+    sock.ev.emit('messages.upsert', { type: 'append', messages: [{ key: { remoteJid: CONTACT, id: 'OUT1', fromMe: true }, message: { conversation: 'hi from Telegram' } }] });
+    await wait(50);
+    assert.equal(api.calls.length, echoed);
+    assert.equal(api.calls.filter((call) => call.method === 'sendMessage' && call.text.includes('history')).length, 0);
+    assert.equal(api.calls.filter((call) => call.method === 'sendMessage' && call.text.includes('private')).length, 0);
+
+    //A reply in WhatsApp threads under the Telegram message it answers
+    sock.ev.emit('messages.upsert', {
+      type: 'notify',
+      messages: [{ key: { remoteJid: CONTACT, id: 'IN4' }, pushName: 'Bob', message: { extendedTextMessage: { text: 'got it', contextInfo: { stanzaId: 'OUT1' } } } }]
+    });
+    const threaded = await api.until(() => api.calls.find((call) => call.text?.endsWith('got it')));
+    assert.equal(threaded.reply_parameters.message_id, answer);
+
+    assert.equal((await api.send(`/unforward main ${CONTACT}`)).text, `Stopped mirroring ${CONTACT}.`);
+    assert.deepEqual(bridge.forwards, []);
+  });
+
+  it('mirrors what the owner types on the phone but not what the bot sends', async () => {
+    await api.send('/admin admin-secret');
+    await api.send('/forward main 254733333333');
+
+    //A command reply and a moderation notice, echoed back by Baileys
+    const before = api.calls.length;
+    sock.ev.emit('messages.upsert', {
+      type: 'append',
+      messages: [
+        { key: { remoteJid: CONTACT, id: 'BOT1', fromMe: true }, message: { conversation: '🏓 Pong!' } },
+        { key: { remoteJid: CONTACT, id: 'BOT2', fromMe: true }, message: { conversation: '⚠️ Warning 1/3' } }
+      ]
+    });
+    //Typed on the linked phone
+    sock.ev.emit('messages.upsert', { type: 'notify', messages: [{ key: { remoteJid: CONTACT, id: 'PHONE1', fromMe: true }, message: { conversation: 'on my way' } }] });
+
+    const mirrored = await api.until(() => api.calls.slice(before).find((call) => call.method === 'sendMessage'));
+    assert.equal(mirrored.text, 'You · 254733333333\non my way');
+    await wait(50);
+    assert.deepEqual(api.calls.slice(before).map((call) => call.text), [mirrored.text]);
+  });
+
+  it('restores links and forwards after a restart', async () => {
+    await api.send('/admin admin-secret');
+    await api.send('/forward main 254733333333');
+    bridge.stop();
+    await wait(50);
+
+    const restarted = new TelegramBridge({ token: '123:test', apiRoot: `http://127.0.0.1:${api.server.address().port}`, settings, sessions, sequelize, logger: pino({ level: 'silent' }) });
+    await restarted.start();
+    assert.equal(restarted.roleOf(CHAT), 'admin');
+    //Answering also means polling has started, so stop() below really stops it
+    assert.equal((await api.send('/forwards')).text, `main: ${CONTACT}`);
+    restarted.stop();
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const pino = require('pino');
+const { MessageVault } = require('../lib/vault/vault');
+const { SqliteVaultStore } = require('../lib/vault/store');
+
+const GROUP = '120363000000000000@g.us';
+const CONTACT = '254733333333@s.whatsapp.net';
+const MEMBER = '254722222222@s.whatsapp.net';
+const ADMIN = '254711111111@s.whatsapp.net';
+const OWNER = '254712345678@s.whatsapp.net';
+const REVOKE = 0;
+const MESSAGE_EDIT = 14;
+const REVOKE_STUB = 1;
+
+const defaults = {
+  BOT_ADMIN: '254712345678',
+  ANTI_DELETE_REPORT: 'owner',
+  ANTI_DELETE_CHATS: 'all',
+  ANTI_DELETE_MAX_AGE: 24,
+  ANTI_DELETE_MAX_SIZE: 1,
+  ANTI_DELETE_MIN_FREE: 500
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+//Records what the vault sends, like the fake sockets in moderation.test.js
+function fakeSocket() {
+  const sent = [];
+  return {
+    ev: new EventEmitter(),
+    sent,
+    sendMessage: async (jid, content, options) => {
+      sent.push({ jid, ...content, options });
+      return { key: { id: `SENT${sent.length}` } };
+    },
+    groupMetadata: async () => ({ id: GROUP, subject: 'Test group' })
+  };
+}
+
+const text = (id, body, { chat = CONTACT, sender, seconds = Date.now() / 1000, pushName = 'Bob' } = {}) => ({
+  key: { remoteJid: chat, id, participant: sender },
+  pushName,
+  messageTimestamp: Math.floor(seconds),
+  message: { conversation: body }
+});
+
+const revokeMessage = (id, { chat = CONTACT, by } = {}) => ({
+  key: { remoteJid: chat, id: `REVOKE-${id}`, participant: by },
+  message: { protocolMessage: { type: REVOKE, key: { remoteJid: chat, id } } }
+});
+
+const editMessage = (id, body, { chat = CONTACT } = {}) => ({
+  key: { remoteJid: chat, id: `EDIT-${id}` },
+  message: { protocolMessage: { type: MESSAGE_EDIT, key: { remoteJid: chat, id }, editedMessage: { conversation: body } } }
+});
+
+describe('MessageVault', () => {
+  let store;
+  let sessions;
+  let sock;
+  let vault;
+  let disk;
+
+  const startVault = async (settings = {}) => {
+    vault = new MessageVault({
+      store,
+      sessions,
+      settings: { ...defaults, ...settings },
+      logger: pino({ level: 'silent' }),
+      diskPath: '/data',
+      checkDisk: async () => disk
+    });
+    await vault.start();
+    sessions.emit('socket', 'main', sock);
+  };
+
+  //Emits messages and waits for the vault to have handled them
+  const upsert = async (...messages) => {
+    sock.ev.emit('messages.upsert', { type: 'notify', messages });
+    await wait(20);
+  };
+
+  const stored = async (id, chat = CONTACT) => (await store.get('main', chat, id)) || null;
+
+  beforeEach(() => {
+    store = new SqliteVaultStore({ file: ':memory:' });
+    sessions = Object.assign(new EventEmitter(), { list: () => [], get: () => null });
+    sock = fakeSocket();
+    disk = { free: 10 * 1024 * 1024 * 1024 };
+  });
+
+  afterEach(async () => {
+    await vault.stop();
+  });
+
+  it('reports a deleted message to the owner once, even when the revoke arrives twice', async () => {
+    await startVault();
+    await upsert(text('M1', 'meet at 5'));
+
+    await upsert(revokeMessage('M1'));
+    sock.ev.emit('messages.update', [{ key: { remoteJid: CONTACT, id: 'M1' }, update: { message: null, messageStubType: REVOKE_STUB } }]);
+    await wait(20);
+
+    assert.equal(sock.sent.length, 1);
+    assert.equal(sock.sent[0].jid, OWNER);
+    assert.match(sock.sent[0].text, /^🗑️ \*Deleted message\*\nChat: \+254733333333\nFrom: Bob \(\+254733333333\)\nSent: .+\n\nmeet at 5$/);
+    //Reported messages leave the vault
+    assert.equal(await stored('M1'), null);
+  });
+
+  it('names whoever deleted a group message and can report into the chat itself', async () => {
+    await startVault({ ANTI_DELETE_REPORT: 'chat' });
+    await upsert(text('G1', 'spam', { chat: GROUP, sender: MEMBER, pushName: 'Eve' }));
+    await upsert(revokeMessage('G1', { chat: GROUP, by: ADMIN }));
+
+    assert.equal(sock.sent.length, 1);
+    assert.equal(sock.sent[0].jid, GROUP);
+    assert.match(sock.sent[0].text, /Chat: Test group\nFrom: Eve \(\+254722222222\)/);
+    assert.match(sock.sent[0].text, /Deleted by: \+254711111111\n\nspam$/);
+  });
+
+  it('reports each distinct edit once and keeps the latest text', async () => {
+    await startVault();
+    await upsert(text('M1', 'see you at 5'));
+
+    await upsert(editMessage('M1', 'see you at 6'));
+    sock.ev.emit('messages.update', [{ key: { remoteJid: CONTACT, id: 'M1' }, update: { message: { editedMessage: { message: { conversation: 'see you at 6' } } } } }]);
+    await wait(20);
+    //Repeating the current text is not worth a report
+    await upsert(editMessage('M1', 'see you at 6'));
+    await upsert(editMessage('M1', 'see you at 7'));
+
+    assert.deepEqual(sock.sent.map((m) => m.text.split('\n\n')[1]), [
+      '*Before:* see you at 5\n*After:* see you at 6',
+      '*Before:* see you at 6\n*After:* see you at 7'
+    ]);
+    assert.equal((await stored('M1')).text, 'see you at 7');
+  });
+
+  it('never stores or reports the bot\'s own messages and status updates', async () => {
+    await startVault();
+    await upsert({ ...text('OWN', 'mine'), key: { remoteJid: CONTACT, id: 'OWN', fromMe: true } });
+    await upsert(text('S1', 'story', { chat: 'status@broadcast', sender: MEMBER }));
+    assert.equal(await stored('OWN'), null);
+    assert.equal(await stored('S1', 'status@broadcast'), null);
+
+    await upsert({ ...revokeMessage('OWN'), message: { protocolMessage: { type: REVOKE, key: { remoteJid: CONTACT, id: 'OWN', fromMe: true } } } });
+    assert.deepEqual(sock.sent, []);
+  });
+
+  it('only keeps chats that opted in, or that did not opt out', async () => {
+    await startVault({ ANTI_DELETE_CHATS: 'opt-in' });
+    await vault.setChat('main', GROUP, true);
+    await upsert(text('A', 'kept', { chat: GROUP, sender: MEMBER }), text('B', 'skipped'));
+    assert.equal((await stored('A', GROUP)).text, 'kept');
+    assert.equal(await stored('B'), null);
+
+    await vault.setChat('main', GROUP, false);
+    await upsert(text('C', 'after opting out', { chat: GROUP, sender: MEMBER }));
+    assert.equal(await stored('C', GROUP), null);
+    assert.deepEqual(await store.chats(), [{ session: 'main', chatId: GROUP, enabled: false }]);
+
+    //With ANTI_DELETE_CHATS=all everything is kept except chats that opted out
+    vault.settings = { ...vault.settings, ANTI_DELETE_CHATS: 'all' };
+    await upsert(text('D', 'everyone else'), text('E', 'still out', { chat: GROUP, sender: MEMBER }));
+    assert.equal((await stored('D')).text, 'everyone else');
+    assert.equal(await stored('E', GROUP), null);
+  });
+
+  it('forgets messages older than ANTI_DELETE_MAX_AGE', async () => {
+    await startVault({ ANTI_DELETE_MAX_AGE: 2 });
+    const now = Date.now() / 1000;
+    await upsert(text('OLD', 'three hours ago', { seconds: now - 3 * 3600 }), text('NEW', 'just now', { seconds: now }));
+
+    await vault.prune();
+    assert.equal(await stored('OLD'), null);
+    assert.equal((await stored('NEW')).text, 'just now');
+
+    //A deleted message that already expired is not reported
+    await upsert(revokeMessage('OLD'));
+    assert.deepEqual(sock.sent, []);
+  });
+
+  it('evicts the oldest messages to stay under ANTI_DELETE_MAX_SIZE', async () => {
+    await startVault({ ANTI_DELETE_MAX_SIZE: 1 });
+    const start = Math.floor(Date.now() / 1000) - 3600;
+    const body = 'x'.repeat(4 * 1024);
+    //About 1.3 MB in three bursts
+    for (let burst = 0; burst < 3; burst++) {
+      await upsert(...Array.from({ length: 100 }, (_, i) => text(`M${burst * 100 + i}`, body, { seconds: start + burst * 100 + i })));
+    }
+
+    assert.equal(vault.total, await store.totalSize());
+    assert.ok(vault.total <= 1024 * 1024, `total ${vault.total}`);
+    assert.equal(await stored('M0'), null);
+    assert.ok(await stored('M299'));
+  });
+
+  it('stores nothing, text included, while free disk space is below ANTI_DELETE_MIN_FREE', async () => {
+    disk = { free: 100 * 1024 * 1024 };
+    await startVault({ ANTI_DELETE_MIN_FREE: 500 });
+    await upsert(text('T1', 'just text'), { key: { remoteJid: CONTACT, id: 'I1' }, message: { imageMessage: { caption: 'a photo', fileLength: 1024 } } });
+    assert.equal(await stored('T1'), null);
+    assert.equal(await stored('I1'), null);
+    assert.equal(await store.totalSize(), 0);
+
+    //Prune re-checks the disk, storing resumes once space is back
+    disk = { free: 2 * 1024 * 1024 * 1024 };
+    await vault.prune();
+    await upsert(text('T2', 'room again'));
+    assert.equal((await stored('T2')).text, 'room again');
+  });
+});
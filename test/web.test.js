@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const pino = require('pino');
+const { createWebApp } = require('../lib/web/server');
+const { LoginStore, COOKIE_NAME } = require('../lib/web/auth');
+
+const settings = { BOT_PASSWORD: '12345678', ADMIN_PASSWORD: '87654321' };
+
+describe('web app', () => {
+  let server;
+  let base;
+  let logins;
+  let database;
+
+  beforeEach(async () => {
+    logins = new LoginStore();
+    database = { authenticate: async () => {} };
+    const sessions = { maxSessions: 1, list: () => [], get: () => null };
+    const app = createWebApp({ settings, sessions, sequelize: database, logins, logger: pino({ level: 'silent' }) });
+    await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const request = (path, { cookie, accept = 'text/html', ...options } = {}) => fetch(base + path, {
+    redirect: 'manual',
+    ...options,
+    headers: { accept, ...(cookie ? { cookie } : {}), ...options.headers }
+  });
+
+  const login = (fields) => request('/login', {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(fields).toString()
+  });
+
+  //Logs in and returns the cookie to send back
+  const cookieFor = async (role, password) => {
+    const res = await login({ role, password });
+    assert.equal(res.status, 302);
+    return res.headers.get('set-cookie').split(';')[0];
+  };
+
+  it('sends anonymous visitors to the login page', async () => {
+    for (const [path, role] of [['/pair', 'connect'], ['/admin', 'admin'], ['/pair/qr-abc', 'connect']]) {
+      const res = await request(path);
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.get('location'), `/login?role=${role}&next=${encodeURIComponent(path)}`);
+    }
+    const json = await request('/admin', { accept: 'application/json' });
+    assert.equal(json.status, 401);
+    assert.deepEqual(await json.json(), { error: 'Login required' });
+  });
+
+  it('unlocks pairing with BOT_PASSWORD but not the admin area', async () => {
+    const cookie = await cookieFor('connect', settings.BOT_PASSWORD);
+    assert.equal((await request('/pair', { cookie })).status, 200);
+    assert.equal((await request('/admin', { cookie })).status, 302);
+
+    //ADMIN_PASSWORD is not BOT_PASSWORD, and the admin role covers pairing too
+    assert.equal((await login({ role: 'admin', password: settings.BOT_PASSWORD })).status, 401);
+    const admin = await cookieFor('admin', settings.ADMIN_PASSWORD);
+    assert.equal((await request('/admin', { cookie: admin })).status, 200);
+    assert.equal((await request('/pair', { cookie: admin })).status, 200);
+  });
+
+  it('answers 429 with Retry-After after 5 wrong passwords', async () => {
+    for (let i = 0; i < 5; i++) assert.equal((await login({ role: 'connect', password: 'wrong' })).status, 401);
+
+    const blocked = await login({ role: 'connect', password: settings.BOT_PASSWORD });
+    assert.equal(blocked.status, 429);
+    const seconds = Number(blocked.headers.get('retry-after'));
+    assert.ok(seconds > 0 && seconds <= 15 * 60, `Retry-After: ${seconds}`);
+    assert.equal(blocked.headers.get('set-cookie'), null);
+
+    //Each role is counted on its own
+    assert.equal((await login({ role: 'admin', password: settings.ADMIN_PASSWORD })).status, 302);
+  });
+
+  it('only redirects to same-site paths after login', async () => {
+    for (const [next, location] of [['/pair/qr-abc', '/pair/qr-abc'], ['//evil.example/x', '/pair'], ['https://evil.example', '/pair'], ['', '/pair']]) {
+      const res = await login({ role: 'connect', password: settings.BOT_PASSWORD, next });
+      assert.equal(res.headers.get('location'), location, next);
+    }
+    const form = await (await request('/login?role=admin&next=//evil.example')).text();
+    assert.match(form, /name="next" value="\/admin"/);
+  });
+
+  it('reports 503 from /health when the database is down', async () => {
+    assert.deepEqual(await (await request('/health')).json(), { status: 'ok' });
+
+    database.authenticate = async () => { throw new Error('connection refused'); };
+    const res = await request('/health');
+    assert.equal(res.status, 503);
+    assert.deepEqual(await res.json(), { status: 'error', error: 'database unavailable' });
+  });
+
+  it('destroys the server side login on logout', async () => {
+    const cookie = await cookieFor('admin', settings.ADMIN_PASSWORD);
+    const token = cookie.slice(`${COOKIE_NAME}=`.length);
+    assert.equal(logins.get(token).role, 'admin');
+
+    const res = await request('/logout', { method: 'POST', cookie });
+    assert.equal(res.headers.get('location'), '/login');
+    assert.match(res.headers.get('set-cookie'), new RegExp(`^${COOKIE_NAME}=;`));
+    assert.equal(logins.get(token), null);
+
+    //A copy of the old cookie is worthless now
+    assert.equal((await request('/admin', { cookie })).status, 302);
+  });
+});